@@ -0,0 +1,1306 @@
+// File: handlers/batchTransferHandler.js
+// Handler batch transfer: layar setup (mode sequential / paralel), progress dan summary
+
+import { Markup } from 'telegraf';
+import logger from '../utils/logger.js';
+import auditLogger from '../utils/auditLogger.js';
+import userManager from '../utils/userManager.js';
+import validationHelper from '../utils/validationHelper.js';
+import sessionManager from '../middleware/session.js';
+import accountPool from '../services/accountPool.js';
+import transferService from '../services/transferService.js';
+import batchJobStore from '../services/batchJobStore.js';
+import dryRunPlanner from '../services/dryRunPlanner.js';
+import faucetService from '../services/faucetService.js';
+import tierTracker from '../services/tierTracker.js';
+import batchReport from '../services/batchReport.js';
+import amountStrategy from '../services/amountStrategy.js';
+import transferJobManager from '../services/transferJobManager.js';
+import BatchRunner from '../services/batchRunner.js';
+
+class BatchTransferHandler {
+    constructor() {
+        this.bot = null;
+        this.walletSource = () => [];
+        this.contributorSource = () => ({});
+        this.concurrencyOptions = [1, 2, 3, 5];
+        this.defaultConcurrency = parseInt(process.env.BATCH_CONCURRENCY || '1', 10);
+        // Batas transfer bersamaan per akun Diamante, supaya satu token tidak dibanjiri
+        this.perAccountCap = parseInt(process.env.BATCH_PER_ACCOUNT_CAP || '2', 10);
+        // Saldo yang tidak boleh terpakai batch
+        this.balanceReserve = parseFloat(process.env.BATCH_BALANCE_RESERVE || '0');
+        // Mode target tier berhenti setelah sekian transfer gagal berturut-turut
+        this.tierMaxFailures = parseInt(process.env.BATCH_TIER_MAX_FAILURES || '10', 10);
+        this.activeRuns = new Map();
+        // jobId batch → id job di transferJobManager selama masih antri
+        this.queuedRuns = new Map();
+    }
+
+    setBot(bot) {
+        this.bot = bot;
+    }
+
+    // getContributorWallets: isi user_wallets.json ({ userId: [address] })
+    setWalletSource(getWallets, getContributorWallets = () => ({})) {
+        this.walletSource = getWallets;
+        this.contributorSource = getContributorWallets;
+    }
+
+    getOptions(userId) {
+        return {
+            concurrency: this.defaultConcurrency,
+            dryRun: false,
+            targetTier: null,
+            // null = semua wallet; { groups: [tag], contributor: userId }
+            walletFilter: null,
+            // null = amount tersimpan di wallets.json, lihat amountStrategy.parse
+            amountStrategy: null,
+            ...(sessionManager.getBatchOptions(userId) || {})
+        };
+    }
+
+    setOption(userId, key, value) {
+        sessionManager.setBatchOptions(userId, { ...this.getOptions(userId), [key]: value });
+    }
+
+    // Mode "run until tier": perkiraan untuk pre-flight / dry-run saja (transfer yang masih dibutuhkan).
+    // Eksekusinya memutar wallet lewat nextTierWallet sampai tier benar-benar tercapai.
+    estimateTierWallets(validWallets, targetTier) {
+        if (!targetTier || validWallets.length === 0) return validWallets;
+
+        const needed = tierTracker.getNeededTransfers(targetTier);
+        return Array.from({ length: needed }, (_, i) => validWallets[i % validWallets.length]);
+    }
+
+    // Wallet valid → perkiraan putaran target tier → amount sesuai strategi (bisa lempar Error)
+    prepareWallets(validWallets, { targetTier = null, amountStrategy: strategy = null } = {}) {
+        return amountStrategy.apply(strategy, this.estimateTierWallets(validWallets, targetTier));
+    }
+
+    // Refill BatchRunner untuk job target tier. null = transfer yang sedang jalan sudah cukup
+    // (atau batas trim tercapai); runner menunggu hasilnya lalu bertanya lagi
+    nextTierWallet(job, index) {
+        if (job.cycle.length === 0 || tierTracker.isSaturated(job.targetTier)) return null;
+
+        if (job.successLimit) {
+            const counts = batchJobStore.countByStatus(job);
+            if (counts.success + counts.sending >= job.successLimit) return null;
+        }
+
+        const base = job.cycle[index % job.cycle.length];
+        const wallet = {
+            address: base.address,
+            amount: amountStrategy.amountFor(job.amountStrategy, base, job.plannedTransfers || 1)
+        };
+        batchJobStore.addWallet(job.id, wallet);
+        return wallet;
+    }
+
+    sumAmount(wallets) {
+        return Number(wallets.reduce((sum, w) => sum + parseFloat(w.amount), 0).toFixed(8));
+    }
+
+    formatTarget(targetTier) {
+        const tier = tierTracker.getTier(targetTier);
+        return tier ? `${tier.emoji} ${tier.name} (${tier.txns} tx)` : '-';
+    }
+
+    getGroups() {
+        const counts = new Map();
+        for (const wallet of this.walletSource()) {
+            for (const tag of wallet.tags || []) {
+                counts.set(tag, (counts.get(tag) || 0) + 1);
+            }
+        }
+        return Array.from(counts.entries())
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => a.tag.localeCompare(b.tag));
+    }
+
+    // Kontributor yang wallet-nya masih ada di wallets.json
+    getContributors() {
+        const listed = new Set(this.walletSource().map(w => w.address.toLowerCase()));
+
+        return Object.entries(this.contributorSource())
+            .map(([userId, addresses]) => ({
+                userId,
+                name: userManager.getUser(userId)?.firstName || userId,
+                count: addresses.filter(a => listed.has(a.toLowerCase())).length
+            }))
+            .filter(c => c.count > 0);
+    }
+
+    filterWallets(filter) {
+        const wallets = this.walletSource();
+        if (!filter) return wallets;
+
+        if (filter.contributor) {
+            const owned = new Set((this.contributorSource()[filter.contributor] || []).map(a => a.toLowerCase()));
+            return wallets.filter(w => owned.has(w.address.toLowerCase()));
+        }
+
+        if (filter.groups?.length > 0) {
+            return wallets.filter(w => (w.tags || []).some(tag => filter.groups.includes(tag)));
+        }
+
+        return wallets;
+    }
+
+    getSelectedWallets(userId) {
+        return this.filterWallets(this.getOptions(userId).walletFilter);
+    }
+
+    describeFilter(filter) {
+        if (filter?.contributor) {
+            return `👤 ${userManager.getUser(filter.contributor)?.firstName || filter.contributor}`;
+        }
+        if (filter?.groups?.length > 0) {
+            return `🏷️ ${filter.groups.join(', ')}`;
+        }
+        return 'Semua';
+    }
+
+    async showFilter(ctx) {
+        const filter = this.getOptions(ctx.from.id).walletFilter;
+        const groups = this.getGroups();
+        const contributors = this.getContributors();
+
+        let message = `👥 <b>Pilih Wallet untuk Batch</b>\n\n`;
+        message += `Saat ini: <b>${validationHelper.escapeHtml(this.describeFilter(filter))}</b> (${this.filterWallets(filter).length} wallet)\n\n`;
+        message += groups.length > 0
+            ? `🏷️ Grup bisa dipilih lebih dari satu.\n`
+            : `🏷️ Belum ada grup. Tambah dengan /tag &lt;address&gt; &lt;grup&gt;\n`;
+        if (contributors.length > 0) {
+            message += `👤 Atau pilih wallet milik satu kontributor.\n`;
+        }
+
+        const buttons = [];
+        const groupButtons = groups.map(({ tag, count }) => Markup.button.callback(
+            `${filter?.groups?.includes(tag) ? '✅ ' : ''}${tag} (${count})`,
+            `batch_group_${tag}`
+        ));
+        for (let i = 0; i < groupButtons.length; i += 2) {
+            buttons.push(groupButtons.slice(i, i + 2));
+        }
+        for (const contributor of contributors.slice(0, 10)) {
+            buttons.push([Markup.button.callback(
+                `${filter?.contributor === contributor.userId ? '✅ ' : ''}👤 ${contributor.name} (${contributor.count})`,
+                `batch_contrib_${contributor.userId}`
+            )]);
+        }
+        buttons.push([Markup.button.callback(`${filter ? '' : '✅ '}🌐 Semua wallet`, 'batch_filter_all')]);
+        buttons.push([Markup.button.callback('« Selesai', 'transfer')]);
+
+        await ctx.editMessageText(message, { parse_mode: 'HTML', ...Markup.inlineKeyboard(buttons) });
+    }
+
+    async toggleGroup(ctx, tag) {
+        const groups = this.getOptions(ctx.from.id).walletFilter?.groups || [];
+        const next = groups.includes(tag) ? groups.filter(g => g !== tag) : [...groups, tag];
+
+        this.setOption(ctx.from.id, 'walletFilter', next.length > 0 ? { groups: next, contributor: null } : null);
+        await this.showFilter(ctx);
+        ctx.answerCbQuery();
+    }
+
+    async selectContributor(ctx, userId) {
+        const current = this.getOptions(ctx.from.id).walletFilter?.contributor;
+
+        this.setOption(ctx.from.id, 'walletFilter', current === userId ? null : { groups: [], contributor: userId });
+        await this.showFilter(ctx);
+        ctx.answerCbQuery();
+    }
+
+    async clearFilter(ctx) {
+        this.setOption(ctx.from.id, 'walletFilter', null);
+        await this.showFilter(ctx);
+        ctx.answerCbQuery();
+    }
+
+    formatMode(concurrency) {
+        return concurrency > 1 ? `⚡ Paralel x${concurrency}` : '🐢 Sequential';
+    }
+
+    async showSetup(ctx, { reply = false } = {}) {
+        const options = this.getOptions(ctx.from.id);
+        const walletsRaw = this.filterWallets(options.walletFilter);
+
+        if (this.walletSource().length === 0) {
+            await ctx.editMessageText('📭 Tidak ada wallet di daftar.', {
+                ...Markup.inlineKeyboard([[Markup.button.callback('« Kembali', 'admin_menu')]])
+            });
+            return;
+        }
+
+        const validation = validationHelper.validateWallets(walletsRaw);
+        const accounts = accountPool.getUsableAccounts().length;
+
+        let message = `🚀 <b>Batch Transfer</b>\n\n`;
+        message += `👥 Wallet: <b>${validationHelper.escapeHtml(this.describeFilter(options.walletFilter))}</b>\n`;
+        message += `📊 Wallet valid: <b>${validation.valid.length}</b>\n`;
+
+        if (validation.invalid.length > 0) {
+            logger.warn(`Found ${validation.invalid.length} invalid wallets`);
+            message += `⚠️ Tidak valid (dilewati): ${validation.invalid.length}\n`;
+            message += validation.invalid.slice(0, 5).map(i => `   • ${i.errors.join(', ')}`).join('\n') + '\n';
+        }
+
+        message += `👛 Akun aktif: ${accounts}\n`;
+        message += `⚙️ Mode: <b>${this.formatMode(options.concurrency)}</b>\n`;
+        if (options.concurrency > 1) {
+            message += `🔒 Maks ${this.perAccountCap} transfer bersamaan per akun\n`;
+        }
+        if (options.targetTier) {
+            const needed = tierTracker.getNeededTransfers(options.targetTier);
+            message += `🎯 Target tier: <b>${this.formatTarget(options.targetTier)}</b>\n`;
+            message += needed > 0
+                ? `   ${needed} transfer lagi, wallet diputar ulang sampai tercapai\n`
+                : `   ✅ Semua akun aktif sudah mencapai tier ini\n`;
+        }
+        message += `💰 Amount: <b>${amountStrategy.describe(options.amountStrategy)}</b>\n`;
+        if (options.dryRun) {
+            message += `🧪 Dry-run: <b>ON</b> (tidak ada DIAM yang dikirim)\n`;
+        }
+        message += `\nPilih mode lalu tekan Mulai.`;
+
+        const modeButtons = this.concurrencyOptions.map(n => Markup.button.callback(
+            `${n === options.concurrency ? '✅ ' : ''}${n > 1 ? `x${n}` : 'Seq'}`,
+            `batch_concurrency_${n}`
+        ));
+
+        const buttons = [
+            modeButtons,
+            [
+                Markup.button.callback(`👥 Wallet: ${this.describeFilter(options.walletFilter)}`, 'batch_filter'),
+                Markup.button.callback(`💰 ${amountStrategy.getTypes()[options.amountStrategy?.type || 'stored']}`, 'batch_amount')
+            ],
+            [
+                Markup.button.callback(`🎯 Target: ${tierTracker.getTier(options.targetTier)?.name || 'Off'}`, 'batch_tier_cycle'),
+                Markup.button.callback(`🧪 Dry-run: ${options.dryRun ? 'ON' : 'OFF'}`, 'batch_dryrun_toggle')
+            ]
+        ];
+        if (validation.valid.length > 0) {
+            buttons.push([Markup.button.callback(options.dryRun ? '🧪 Simulasikan' : '✅ Mulai', 'batch_start')]);
+        }
+        buttons.push([Markup.button.callback('📜 Riwayat Batch', 'batch_history')]);
+        buttons.push([Markup.button.callback('« Kembali', 'admin_menu')]);
+
+        const extra = { parse_mode: 'HTML', ...Markup.inlineKeyboard(buttons) };
+        await (reply ? ctx.reply(message, extra) : ctx.editMessageText(message, extra));
+    }
+
+    async showAmountOptions(ctx) {
+        const current = this.getOptions(ctx.from.id).amountStrategy;
+        const types = amountStrategy.getTypes();
+
+        let message = `💰 <b>Strategi Amount</b>\n\n`;
+        message += `Saat ini: <b>${amountStrategy.describe(current)}</b>\n\n`;
+        message += `📋 Tersimpan: amount per wallet di wallets.json\n`;
+        message += `📌 Fixed: satu amount untuk semua wallet\n`;
+        message += `🎲 Random: amount acak dalam range\n`;
+        message += `🏷️ Per grup: amount berbeda per grup wallet\n`;
+        message += `➗ Bagi budget: total budget dibagi rata`;
+
+        const buttons = Object.entries(types).map(([type, label]) => [Markup.button.callback(
+            `${(current?.type || 'stored') === type ? '✅ ' : ''}${label}`,
+            `batch_amount_${type}`
+        )]);
+        buttons.push([Markup.button.callback('« Kembali', 'transfer')]);
+
+        await ctx.editMessageText(message, { parse_mode: 'HTML', ...Markup.inlineKeyboard(buttons) });
+    }
+
+    async chooseAmountType(ctx, type) {
+        if (!amountStrategy.getTypes()[type]) {
+            return ctx.answerCbQuery('❌ Strategi tidak dikenal');
+        }
+
+        if (type === 'stored') {
+            this.setOption(ctx.from.id, 'amountStrategy', null);
+            await this.showSetup(ctx);
+            return ctx.answerCbQuery('📋 Amount tersimpan');
+        }
+
+        sessionManager.setState(ctx.from.id, 'waiting_batch_amount', { batchAmountType: type });
+
+        await ctx.editMessageText(`💰 <b>${amountStrategy.getTypes()[type]}</b>\n\n${amountStrategy.getPrompt(type)}`, {
+            parse_mode: 'HTML',
+            ...Markup.inlineKeyboard([[Markup.button.callback('❌ Batal', 'transfer')]])
+        });
+        ctx.answerCbQuery();
+    }
+
+    async handleAmountInput(ctx) {
+        const userId = ctx.from.id;
+        const type = sessionManager.getData(userId, 'batchAmountType');
+        if (!type) return false;
+
+        let strategy;
+        try {
+            strategy = amountStrategy.parse(type, ctx.message.text);
+        } catch (error) {
+            await ctx.reply(`❌ ${error.message}\n\nCoba lagi atau tekan Batal.`);
+            return true;
+        }
+
+        // State saja yang direset, opsi batch lain di session tetap
+        sessionManager.setState(userId, null, { batchAmountType: null });
+        this.setOption(userId, 'amountStrategy', strategy);
+
+        await this.showSetup(ctx, { reply: true });
+        return true;
+    }
+
+    async setConcurrency(ctx, concurrency) {
+        if (!this.concurrencyOptions.includes(concurrency)) {
+            return ctx.answerCbQuery('❌ Mode tidak dikenal');
+        }
+
+        this.setOption(ctx.from.id, 'concurrency', concurrency);
+        await this.showSetup(ctx);
+        ctx.answerCbQuery(this.formatMode(concurrency));
+    }
+
+    async toggleDryRun(ctx) {
+        const dryRun = !this.getOptions(ctx.from.id).dryRun;
+        this.setOption(ctx.from.id, 'dryRun', dryRun);
+        await this.showSetup(ctx);
+        ctx.answerCbQuery(dryRun ? '🧪 Dry-run aktif' : '🚀 Mode live');
+    }
+
+    async cycleTargetTier(ctx) {
+        const keys = [null, ...tierTracker.getTiers().map(t => t.key)];
+        const current = keys.indexOf(this.getOptions(ctx.from.id).targetTier);
+        const targetTier = keys[(current + 1) % keys.length];
+
+        this.setOption(ctx.from.id, 'targetTier', targetTier);
+        await this.showSetup(ctx);
+        ctx.answerCbQuery(targetTier ? `🎯 Target ${this.formatTarget(targetTier)}` : '🎯 Target tier off');
+    }
+
+    async start(ctx) {
+        if (this.getOptions(ctx.from.id).dryRun) {
+            return this.dryRun(ctx);
+        }
+
+        const validation = validationHelper.validateWallets(this.getSelectedWallets(ctx.from.id));
+        const options = this.getOptions(ctx.from.id);
+        const { concurrency, targetTier } = options;
+
+        if (validation.valid.length === 0) {
+            await ctx.editMessageText('❌ Tidak ada wallet valid di pilihan ini.', {
+                ...Markup.inlineKeyboard([[Markup.button.callback('« Kembali', 'admin_menu')]])
+            });
+            ctx.answerCbQuery();
+            return;
+        }
+
+        if (targetTier && tierTracker.hasReached(targetTier)) {
+            ctx.answerCbQuery(`✅ Semua akun sudah mencapai ${this.formatTarget(targetTier)}`, { show_alert: true });
+            return;
+        }
+
+        let wallets;
+        try {
+            wallets = this.prepareWallets(validation.valid, options);
+        } catch (error) {
+            ctx.answerCbQuery(`❌ ${error.message}`, { show_alert: true });
+            return;
+        }
+
+        try {
+            await ctx.answerCbQuery('🔍 Cek saldo akun...');
+        } catch (e) {}
+
+        await this.preflightOrLaunch(ctx, {
+            wallets,
+            concurrency,
+            retryOf: null,
+            targetTier,
+            amountStrategy: options.amountStrategy,
+            cycle: targetTier ? validation.valid : null
+        });
+    }
+
+    async createAndLaunch(ctx, pending, { reply = false } = {}) {
+        const { wallets, concurrency, retryOf, targetTier = null, amountStrategy: strategy = null, cycle = null, successLimit = null } = pending;
+        const tierMode = Boolean(targetTier && cycle);
+
+        const job = batchJobStore.createJob({
+            wallets: tierMode ? [] : wallets,
+            concurrency,
+            admin: { id: ctx.from.id, name: ctx.from.first_name },
+            retryOf,
+            targetTier,
+            amountStrategy: strategy,
+            cycle: tierMode ? cycle : null,
+            plannedTransfers: tierMode ? wallets.length : null,
+            successLimit
+        });
+
+        let text = retryOf
+            ? `🔁 <b>Retry wallet gagal...</b>\n\n🆔 Dari job: <code>${retryOf}</code>\n`
+            : `🔄 <b>Mempersiapkan batch transfer...</b>\n\n`;
+        text += tierMode
+            ? `📊 Wallet: ${cycle.length} diputar, perkiraan ${wallets.length} transfer\n⚙️ Mode: ${this.formatMode(concurrency)}`
+            : `📊 Wallet: ${wallets.length}\n⚙️ Mode: ${this.formatMode(concurrency)}`;
+        text += `\n💰 Amount: ${retryOf ? 'amount asli' : amountStrategy.describe(strategy)} (${tierMode ? 'perkiraan ' : ''}total ${this.sumAmount(wallets)} DIAM)`;
+        if (targetTier) {
+            text += `\n🎯 Target: ${this.formatTarget(targetTier)}`;
+        }
+
+        const extra = { parse_mode: 'HTML', ...this.controlKeyboard(job.id, false) };
+        let target;
+
+        if (reply) {
+            target = await ctx.reply(text, extra);
+        } else {
+            await ctx.editMessageText(text, extra);
+            target = ctx.callbackQuery.message;
+        }
+
+        this.launch(job, target.chat.id, target.message_id);
+        return job;
+    }
+
+    // Pre-flight: total batch + reserve dibandingkan dengan saldo akun sebelum transfer pertama
+    async runPreflight(wallets) {
+        const balances = await dryRunPlanner.getBalances();
+        const totalAmount = wallets.reduce((sum, w) => sum + parseFloat(w.amount), 0);
+        const available = balances.total - this.balanceReserve;
+
+        let affordable = 0;
+        let spent = 0;
+        for (const wallet of wallets) {
+            const amount = parseFloat(wallet.amount);
+            if (spent + amount > available) break;
+            spent += amount;
+            affordable++;
+        }
+
+        return {
+            ok: balances.known && available >= totalAmount,
+            known: balances.known,
+            count: wallets.length,
+            totalAmount,
+            balance: balances.total,
+            reserve: this.balanceReserve,
+            shortfall: Math.max(0, totalAmount - available),
+            affordable
+        };
+    }
+
+    async preflightOrLaunch(ctx, pending, { reply = false } = {}) {
+        const check = await this.runPreflight(pending.wallets);
+
+        if (check.ok) {
+            return this.createAndLaunch(ctx, pending, { reply });
+        }
+
+        logger.warn(`Batch pre-flight failed: ${check.totalAmount} DIAM needed, ${check.balance} available`);
+        sessionManager.setData(ctx.from.id, 'batchPreflight', pending);
+
+        const text = this.formatPreflight(check);
+        const extra = { parse_mode: 'HTML', ...this.preflightKeyboard(check) };
+        return reply ? ctx.reply(text, extra) : ctx.editMessageText(text, extra);
+    }
+
+    preflightKeyboard(check) {
+        const buttons = [];
+
+        if (!check.known) {
+            buttons.push([Markup.button.callback('▶️ Lanjutkan tanpa cek', 'batch_preflight_force')]);
+        } else if (check.affordable > 0) {
+            buttons.push([Markup.button.callback(`✂️ Trim ke ${check.affordable} wallet`, 'batch_preflight_trim')]);
+        }
+
+        buttons.push([Markup.button.callback('🚰 Claim faucet dulu', 'batch_preflight_faucet')]);
+        buttons.push([Markup.button.callback('❌ Batal', 'batch_preflight_abort')]);
+
+        return Markup.inlineKeyboard(buttons);
+    }
+
+    formatPreflight(check, note = '', withPrompt = true) {
+        let message = `⚠️ <b>Pre-flight: Saldo Tidak Cukup</b>\n\n`;
+        message += `💎 Total batch: ${check.totalAmount.toFixed(4)} DIAM (${check.count} wallet)\n`;
+
+        if (check.reserve > 0) {
+            message += `🛡️ Reserve: ${check.reserve} DIAM\n`;
+        }
+
+        if (!check.known) {
+            message += `💰 Saldo: tidak bisa dicek\n`;
+        } else {
+            message += `💰 Saldo akun: ${check.balance.toFixed(4)} DIAM\n`;
+            message += `❌ Kurang: ${check.shortfall.toFixed(4)} DIAM\n`;
+            message += `✂️ Terjangkau: ${check.affordable}/${check.count} wallet\n`;
+        }
+
+        if (note) {
+            message += `\n${note}\n`;
+        }
+
+        if (withPrompt) {
+            message += `\nPilih tindakan:`;
+        }
+        return message;
+    }
+
+    async preflightAction(ctx, action) {
+        const pending = sessionManager.getData(ctx.from.id, 'batchPreflight');
+
+        if (!pending) {
+            await ctx.answerCbQuery('⏰ Sesi pre-flight kadaluarsa, mulai ulang batch', { show_alert: true });
+            return;
+        }
+
+        if (action === 'abort') {
+            sessionManager.setData(ctx.from.id, 'batchPreflight', null);
+            logger.info(`Batch aborted at pre-flight by ${ctx.from.first_name}`);
+            await ctx.editMessageText('❌ Batch dibatalkan sebelum transfer.', {
+                ...Markup.inlineKeyboard([[Markup.button.callback('« Kembali', 'admin_menu')]])
+            });
+            ctx.answerCbQuery();
+            return;
+        }
+
+        if (action === 'force') {
+            sessionManager.setData(ctx.from.id, 'batchPreflight', null);
+            ctx.answerCbQuery('✅ Memulai batch transfer...');
+            await this.createAndLaunch(ctx, pending);
+            return;
+        }
+
+        if (action === 'trim') {
+            const check = await this.runPreflight(pending.wallets);
+            if (check.affordable === 0) {
+                await ctx.answerCbQuery('❌ Saldo tidak cukup untuk satu wallet pun', { show_alert: true });
+                return;
+            }
+
+            sessionManager.setData(ctx.from.id, 'batchPreflight', null);
+            logger.info(`Batch trimmed to ${check.affordable}/${check.count} wallets by ${ctx.from.first_name}`);
+            ctx.answerCbQuery(`✂️ Batch dipangkas ke ${check.affordable} wallet`);
+            await this.createAndLaunch(ctx, {
+                ...pending,
+                wallets: pending.wallets.slice(0, check.affordable),
+                successLimit: pending.targetTier ? check.affordable : null
+            });
+            return;
+        }
+
+        ctx.answerCbQuery('🚰 Claiming faucet...');
+        await ctx.editMessageText('🚰 <b>Claim faucet...</b>\n\nSetelah itu saldo dicek ulang.', { parse_mode: 'HTML' });
+
+        const results = await faucetService.claimAll();
+        const claimed = results.filter(r => r.success).length;
+        const check = await this.runPreflight(pending.wallets);
+
+        if (check.ok) {
+            sessionManager.setData(ctx.from.id, 'batchPreflight', null);
+            await this.createAndLaunch(ctx, pending);
+            return;
+        }
+
+        await ctx.editMessageText(
+            this.formatPreflight(check, `🚰 Faucet: ${claimed}/${results.length} akun berhasil claim`),
+            { parse_mode: 'HTML', ...this.preflightKeyboard(check) }
+        );
+    }
+
+    async dryRun(ctx) {
+        try {
+            await ctx.answerCbQuery('🧪 Menjalankan simulasi...');
+        } catch (e) {}
+
+        await ctx.editMessageText('🧪 <b>Dry-run...</b>\n\nMengecek wallet dan saldo akun.', { parse_mode: 'HTML' });
+
+        const options = this.getOptions(ctx.from.id);
+        const validation = validationHelper.validateWallets(this.getSelectedWallets(ctx.from.id));
+
+        let walletsRaw;
+        try {
+            // Wallet tidak valid tetap disertakan supaya muncul di laporan simulasi
+            walletsRaw = [...this.prepareWallets(validation.valid, options), ...validation.invalid.map(i => i.wallet)];
+        } catch (error) {
+            await ctx.editMessageText(`❌ ${error.message}`, {
+                ...Markup.inlineKeyboard([[Markup.button.callback('⚙️ Setup Batch', 'transfer')]])
+            });
+            return;
+        }
+        const plan = await dryRunPlanner.planBatch(walletsRaw, { concurrency: options.concurrency, reserve: this.balanceReserve });
+        plan.amountStrategy = options.amountStrategy;
+
+        logger.info(`Batch dry-run by ${ctx.from.first_name}: ${plan.valid} wallets, ${plan.totalAmount} DIAM`);
+
+        await ctx.editMessageText(this.formatDryRun(plan), {
+            parse_mode: 'HTML',
+            ...Markup.inlineKeyboard([
+                [Markup.button.callback('⚙️ Setup Batch', 'transfer')],
+                [Markup.button.callback('« Kembali', 'admin_menu')]
+            ])
+        });
+    }
+
+    // Dipanggil scheduler tanpa ctx: laporan dikirim ke admin pembuat jadwal.
+    // Saldo kurang → coba claim faucet, lalu trim ke wallet yang terjangkau
+    async runScheduled(schedule) {
+        const admin = schedule.createdBy;
+        const strategy = schedule.options?.amountStrategy || null;
+        let wallets = validationHelper.validateWallets(this.filterWallets(schedule.options?.walletFilter)).valid;
+
+        if (wallets.length === 0) {
+            await this.bot.telegram.sendMessage(admin.id, `⏰ Jadwal batch <code>${schedule.id}</code> dilewati: tidak ada wallet valid.`, { parse_mode: 'HTML' });
+            return { skipped: true, reason: 'Tidak ada wallet valid' };
+        }
+
+        try {
+            wallets = this.prepareWallets(wallets, { amountStrategy: strategy });
+        } catch (error) {
+            await this.bot.telegram.sendMessage(admin.id, `⏰ Jadwal batch <code>${schedule.id}</code> dilewati: ${error.message}`, { parse_mode: 'HTML' });
+            return { skipped: true, reason: error.message };
+        }
+
+        const notes = [];
+        let check = await this.runPreflight(wallets);
+
+        if (!check.ok && check.known) {
+            const results = await faucetService.claimAll();
+            notes.push(`🚰 Faucet: ${results.filter(r => r.success).length}/${results.length} akun berhasil claim`);
+            check = await this.runPreflight(wallets);
+        }
+
+        if (!check.ok && check.known) {
+            if (check.affordable === 0) {
+                await this.bot.telegram.sendMessage(
+                    admin.id,
+                    `⏰ Jadwal batch <code>${schedule.id}</code> dilewati.\n\n` + this.formatPreflight(check, notes.join('\n'), false),
+                    { parse_mode: 'HTML' }
+                );
+                return { skipped: true, reason: 'Saldo tidak cukup' };
+            }
+
+            notes.push(`✂️ Saldo kurang, batch dipangkas ke ${check.affordable}/${check.count} wallet`);
+            wallets = wallets.slice(0, check.affordable);
+        }
+
+        const concurrency = schedule.options?.concurrency || this.defaultConcurrency;
+        const job = batchJobStore.createJob({ wallets, concurrency, admin, scheduleId: schedule.id, amountStrategy: strategy });
+
+        let text = `⏰ <b>Batch Terjadwal</b>\n\n`;
+        text += `🆔 Jadwal: <code>${schedule.id}</code>\n`;
+        text += `📊 Wallet: ${wallets.length}\n⚙️ Mode: ${this.formatMode(concurrency)}`;
+        text += `\n💰 Amount: ${amountStrategy.describe(strategy)} (total ${this.sumAmount(wallets)} DIAM)`;
+        if (notes.length > 0) text += `\n\n${notes.join('\n')}`;
+
+        const statusMsg = await this.bot.telegram.sendMessage(admin.id, text, {
+            parse_mode: 'HTML',
+            ...this.controlKeyboard(job.id, false)
+        });
+
+        const summary = await this.runQueued(job, statusMsg.chat.id, statusMsg.message_id);
+
+        return {
+            jobId: job.id,
+            total: summary.total,
+            success: summary.success,
+            failed: summary.failed,
+            cancelled: summary.cancelled,
+            trimmed: wallets.length < check.count
+        };
+    }
+
+    // Batch bisa berjalan lama, jangan tahan handler Telegraf
+    launch(job, chatId, messageId) {
+        this.runQueued(job, chatId, messageId)
+            .catch(error => logger.error(`Batch job ${job.id} crashed:`, error.message));
+    }
+
+    // Batch mengunci semua akun Diamante; kalau ada transfer lain yang jalan, tunggu giliran
+    async runQueued(job, chatId, messageId) {
+        const { id, promise } = transferJobManager.enqueue({
+            kind: job.scheduleId ? 'schedule' : 'batch',
+            label: `${job.wallets.length} wallet`,
+            owner: job.startedBy,
+            scope: 'all',
+            onQueued: (position) => {
+                batchJobStore.setStatus(job.id, 'queued');
+                return this.editStatus(chatId, messageId, this.formatQueued(job, position), this.queuedKeyboard(job.id));
+            },
+            run: (lease) => {
+                this.queuedRuns.delete(job.id);
+                batchJobStore.setStatus(job.id, 'running');
+                return this.execute(job, chatId, messageId, lease);
+            }
+        });
+        this.queuedRuns.set(job.id, id);
+
+        const result = await promise;
+        if (!result.cancelled) return result;
+
+        this.queuedRuns.delete(job.id);
+        return {
+            total: job.wallets.length,
+            success: 0,
+            failed: 0,
+            cancelled: true
+        };
+    }
+
+    async cancelQueued(jobId, cancelledBy) {
+        const job = batchJobStore.getJob(jobId);
+        if (!transferJobManager.cancel(this.queuedRuns.get(jobId)) || !job) return false;
+
+        batchJobStore.completeJob(jobId, {
+            results: [],
+            skippedIndexes: job.wallets.map((_, index) => index),
+            cancelled: true,
+            cancelledBy,
+            total: job.wallets.length,
+            success: 0,
+            failed: 0,
+            skipped: job.wallets.length,
+            mysteryXP: 0,
+            durationMs: 0,
+            stopReason: 'cancelled'
+        });
+        logger.info(`Queued batch job ${jobId} cancelled by ${cancelledBy}`);
+        return true;
+    }
+
+    formatQueued(job, position) {
+        const running = transferJobManager.getRunning();
+
+        let message = `⏳ <b>Batch Menunggu Antrian</b>\n\n`;
+        message += `🆔 Job: <code>${job.id}</code>\n`;
+        message += `📊 Wallet: ${job.wallets.length}\n`;
+        message += `🔢 Posisi antrian: <b>#${position}</b>\n`;
+        if (running.length > 0) {
+            message += `\n🔄 Sedang berjalan:\n`;
+            message += running.map(r => `   • ${transferJobManager.getKinds()[r.kind]} oleh ${validationHelper.escapeHtml(r.owner.name)}`).join('\n');
+            message += `\n`;
+        }
+        message += `\nBatch mulai otomatis saat akun Diamante bebas.`;
+        return message;
+    }
+
+    queuedKeyboard(jobId) {
+        return Markup.inlineKeyboard([[Markup.button.callback('⏹️ Cancel', `batch_ctl_cancel_${jobId}`)]]);
+    }
+
+    // Admin view: transfer yang sedang jalan dan yang antri, dari semua admin
+    async showQueue(ctx) {
+        const kinds = transferJobManager.getKinds();
+        const running = transferJobManager.getRunning();
+        const queued = transferJobManager.getQueued();
+        const formatTime = (iso) => new Date(iso).toLocaleTimeString('id-ID');
+
+        let message = `🧾 <b>Antrian Transfer</b>\n\n`;
+        message += `🔄 <b>Berjalan (${running.length})</b>\n`;
+        message += running.length > 0
+            ? running.map(job => {
+                const accounts = job.accountIds.map(id => accountPool.getAccount(id)?.label || id).join(', ') || '-';
+                return `• ${kinds[job.kind]} ${validationHelper.escapeHtml(job.label)}\n   👤 ${validationHelper.escapeHtml(job.owner.name)} · 🕐 ${formatTime(job.startedAt)} · 👛 ${accounts}`;
+            }).join('\n') + '\n'
+            : `   Tidak ada\n`;
+
+        message += `\n⏳ <b>Antri (${queued.length})</b>\n`;
+        message += queued.length > 0
+            ? queued.map((job, i) => `#${i + 1} ${kinds[job.kind]} ${validationHelper.escapeHtml(job.label)}\n   👤 ${validationHelper.escapeHtml(job.owner.name)} · 🕐 ${formatTime(job.queuedAt)}`).join('\n') + '\n'
+            : `   Tidak ada\n`;
+
+        const buttons = queued.map((job, i) => [
+            Markup.button.callback(`⏹️ Batalkan #${i + 1} (${job.owner.name})`, `tjob_cancel_${job.id}`)
+        ]);
+        buttons.push([Markup.button.callback('🔄 Refresh', 'transfer_jobs')]);
+        buttons.push([Markup.button.callback('« Kembali', 'admin_menu')]);
+
+        try {
+            await ctx.editMessageText(message, { parse_mode: 'HTML', ...Markup.inlineKeyboard(buttons) });
+        } catch (e) {
+            if (!e.message?.includes('message is not modified')) throw e;
+        }
+    }
+
+    async cancelQueueEntry(ctx, managerJobId) {
+        const batchJobId = Array.from(this.queuedRuns.entries()).find(([, id]) => id === managerJobId)?.[0];
+        const cancelled = batchJobId
+            ? await this.cancelQueued(batchJobId, ctx.from.first_name)
+            : transferJobManager.cancel(managerJobId);
+
+        await ctx.answerCbQuery(cancelled ? '⏹️ Dihapus dari antrian' : '❌ Job sudah berjalan atau selesai');
+        await this.showQueue(ctx);
+    }
+
+    async notifyUnfinishedJobs() {
+        const jobs = batchJobStore.getUnfinishedJobs();
+
+        for (const job of jobs) {
+            const counts = batchJobStore.countByStatus(job);
+
+            let message = `♻️ <b>Batch Transfer Terputus</b>\n\n`;
+            message += `🆔 Job: <code>${job.id}</code>\n`;
+            message += `📅 Dimulai: ${new Date(job.createdAt).toLocaleString('id-ID')}\n`;
+            message += `📊 Progress: ${counts.success + counts.failed + counts.unknown}/${job.wallets.length}\n`;
+            message += `✅ Success: ${counts.success}\n`;
+            message += `❌ Failed: ${counts.failed}\n`;
+            if (counts.unknown > 0) {
+                message += `❓ Status tidak pasti: ${counts.unknown} (sedang dikirim saat bot mati, tidak dikirim ulang otomatis, cek di laporan)\n`;
+            }
+            message += `⏳ Belum dikirim: ${counts.pending}\n\n`;
+            message += `Lanjutkan dari wallet yang belum dikirim? Wallet yang sudah sukses tidak akan dikirim ulang.`;
+
+            try {
+                await this.bot.telegram.sendMessage(job.startedBy.id, message, {
+                    parse_mode: 'HTML',
+                    ...Markup.inlineKeyboard([
+                        [
+                            Markup.button.callback('▶️ Lanjutkan', `batch_resume_${job.id}`),
+                            Markup.button.callback('🗑️ Buang', `batch_discard_${job.id}`)
+                        ]
+                    ])
+                });
+            } catch (error) {
+                logger.warn(`Failed to notify ${job.startedBy.id} about job ${job.id}: ${error.message}`);
+            }
+        }
+
+        if (jobs.length > 0) {
+            logger.info(`Found ${jobs.length} unfinished batch jobs`);
+        }
+    }
+
+    async resume(ctx, jobId) {
+        const job = batchJobStore.getJob(jobId);
+
+        if (!job || job.status !== 'interrupted') {
+            await ctx.answerCbQuery('❌ Job tidak ditemukan atau sudah berjalan', { show_alert: true });
+            return;
+        }
+
+        batchJobStore.setStatus(job.id, 'running');
+
+        try {
+            await ctx.answerCbQuery('▶️ Melanjutkan batch...');
+        } catch (e) {}
+
+        const counts = batchJobStore.countByStatus(job);
+        await ctx.editMessageText(
+            `🔄 <b>Melanjutkan batch transfer...</b>\n\n📊 Sisa wallet: ${counts.pending}/${job.wallets.length}\n⚙️ Mode: ${this.formatMode(job.concurrency)}`,
+            { parse_mode: 'HTML', ...this.controlKeyboard(job.id, false) }
+        );
+
+        const message = ctx.callbackQuery.message;
+        this.launch(job, message.chat.id, message.message_id);
+    }
+
+    // Batch baru hanya untuk wallet yang gagal, dengan amount aslinya
+    async retryFailed(ctx, jobId) {
+        const source = batchJobStore.getJob(jobId);
+
+        if (!source) {
+            await ctx.answerCbQuery('❌ Job tidak ditemukan', { show_alert: true });
+            return;
+        }
+
+        const wallets = batchJobStore.getFailedWallets(source);
+        if (wallets.length === 0) {
+            await ctx.answerCbQuery('✅ Tidak ada wallet gagal di job ini', { show_alert: true });
+            return;
+        }
+
+        try {
+            await ctx.answerCbQuery(`🔁 Retry ${wallets.length} wallet gagal...`);
+        } catch (e) {}
+
+        logger.info(`Retrying ${wallets.length} failed wallets from job ${source.id}`);
+
+        // Summary lama tetap ada di chat, progress retry di pesan baru
+        await this.preflightOrLaunch(ctx, {
+            wallets,
+            concurrency: source.concurrency,
+            retryOf: source.id
+        }, { reply: true });
+    }
+
+    async discard(ctx, jobId) {
+        const job = batchJobStore.getJob(jobId);
+
+        if (!job || job.status !== 'interrupted') {
+            await ctx.answerCbQuery('❌ Job tidak ditemukan atau sudah berjalan', { show_alert: true });
+            return;
+        }
+
+        batchJobStore.discardJob(job.id);
+        logger.info(`Batch job ${job.id} discarded by ${ctx.from.first_name}`);
+
+        await ctx.editMessageText(`🗑️ Job <code>${job.id}</code> dibuang.`, {
+            parse_mode: 'HTML',
+            ...Markup.inlineKeyboard([[Markup.button.callback('« Kembali', 'admin_menu')]])
+        });
+        ctx.answerCbQuery();
+    }
+
+    async sendReport(chatId, job) {
+        const { filename, content } = batchReport.build(job);
+        await this.bot.telegram.sendDocument(chatId, { source: Buffer.from(content), filename }, {
+            caption: `📄 Laporan batch ${job.id}`
+        });
+    }
+
+    async showHistory(ctx) {
+        const jobs = batchJobStore.getFinishedJobs();
+
+        if (jobs.length === 0) {
+            await ctx.editMessageText('📜 <b>Riwayat Batch</b>\n\nBelum ada batch yang selesai.', {
+                parse_mode: 'HTML',
+                ...Markup.inlineKeyboard([[Markup.button.callback('« Kembali', 'transfer')]])
+            });
+            return;
+        }
+
+        let message = `📜 <b>Riwayat Batch</b>\n\nPilih batch untuk mengunduh laporan.\n\n`;
+        const buttons = [];
+
+        for (const job of jobs) {
+            const counts = batchJobStore.countByStatus(job);
+            const finishedAt = new Date(job.finishedAt).toLocaleString('id-ID');
+            const icon = job.status === 'cancelled' ? '⏹️' : '✅';
+
+            message += `${icon} <code>${job.id}</code> · ${finishedAt}\n`;
+            message += `   ${counts.success}/${job.wallets.length} sukses, ${counts.failed} gagal · ${validationHelper.escapeHtml(job.startedBy.name)}\n`;
+            buttons.push([Markup.button.callback(`📄 ${job.id} (${counts.success}/${job.wallets.length})`, `batch_report_${job.id}`)]);
+        }
+        buttons.push([Markup.button.callback('« Kembali', 'transfer')]);
+
+        await ctx.editMessageText(message, { parse_mode: 'HTML', ...Markup.inlineKeyboard(buttons) });
+    }
+
+    async downloadReport(ctx, jobId) {
+        const job = batchJobStore.getJob(jobId);
+
+        if (!job || !job.finishedAt) {
+            await ctx.answerCbQuery('❌ Laporan tidak ditemukan', { show_alert: true });
+            return;
+        }
+
+        await ctx.answerCbQuery('📄 Mengirim laporan...');
+        await this.sendReport(ctx.chat.id, job);
+    }
+
+    controlKeyboard(jobId, paused) {
+        return Markup.inlineKeyboard([[
+            paused
+                ? Markup.button.callback('▶️ Resume', `batch_ctl_resume_${jobId}`)
+                : Markup.button.callback('⏸️ Pause', `batch_ctl_pause_${jobId}`),
+            Markup.button.callback('⏹️ Cancel', `batch_ctl_cancel_${jobId}`)
+        ]]);
+    }
+
+    async control(ctx, action, jobId) {
+        const run = this.activeRuns.get(jobId);
+
+        if (!run && action === 'cancel' && this.queuedRuns.has(jobId)) {
+            await this.cancelQueued(jobId, ctx.from.first_name);
+            await ctx.editMessageText(`⏹️ Batch <code>${jobId}</code> dibatalkan sebelum mulai.`, {
+                parse_mode: 'HTML',
+                ...Markup.inlineKeyboard([[Markup.button.callback('« Kembali', 'admin_menu')]])
+            });
+            ctx.answerCbQuery('⏹️ Batch dibatalkan');
+            return;
+        }
+
+        if (!run) {
+            await ctx.answerCbQuery('❌ Batch tidak sedang berjalan', { show_alert: true });
+            return;
+        }
+
+        const { runner, chatId, messageId } = run;
+
+        if (action === 'pause') {
+            runner.pause();
+            batchJobStore.setStatus(jobId, 'paused');
+            logger.info(`Batch job ${jobId} paused by ${ctx.from.first_name}`);
+            await this.editStatus(chatId, messageId, this.formatProgress(runner.getProgress()), this.controlKeyboard(jobId, true));
+            ctx.answerCbQuery('⏸️ Dijeda setelah transfer yang sedang berjalan');
+            return;
+        }
+
+        if (action === 'resume') {
+            runner.resume();
+            batchJobStore.setStatus(jobId, 'running');
+            logger.info(`Batch job ${jobId} resumed by ${ctx.from.first_name}`);
+            await this.editStatus(chatId, messageId, this.formatProgress(runner.getProgress()), this.controlKeyboard(jobId, false));
+            ctx.answerCbQuery('▶️ Dilanjutkan');
+            return;
+        }
+
+        run.cancelledBy = ctx.from.first_name;
+        runner.cancel();
+        logger.info(`Batch job ${jobId} cancelled by ${ctx.from.first_name}`);
+        await this.editStatus(
+            chatId,
+            messageId,
+            `⏹️ <b>Membatalkan batch...</b>\n\nMenunggu transfer yang sedang berjalan selesai.`
+        );
+        ctx.answerCbQuery('⏹️ Batch dibatalkan');
+    }
+
+    async editStatus(chatId, messageId, text, extra = {}) {
+        try {
+            await this.bot.telegram.editMessageText(chatId, messageId, undefined, text, { parse_mode: 'HTML', ...extra });
+        } catch (e) {
+            if (!e.message?.includes('message is not modified')) {
+                logger.warn(`Progress update error: ${e.message}`);
+            }
+        }
+    }
+
+    async execute(job, chatId, messageId, lease = null) {
+        const { concurrency, startedBy: admin, targetTier } = job;
+        const wallets = job.wallets.map(w => ({ address: w.address, amount: w.amount }));
+
+        logger.batch(`Starting batch transfer`, { job: job.id, total: wallets.length, concurrency, targetTier });
+
+        // Mode target tier: hanya pakai akun yang masih butuh transfer, berhenti begitu semua akun tercapai
+        const leaseFilter = lease ? lease.accountFilter : () => true;
+        const transferOptions = {
+            accountFilter: targetTier
+                ? (account) => leaseFilter(account) && tierTracker.hasCapacity(account, targetTier)
+                : leaseFilter
+        };
+        const context = {
+            source: job.scheduleId ? 'schedule' : 'batch',
+            jobId: job.id,
+            triggeredBy: { type: job.scheduleId ? 'schedule' : 'admin', id: admin.id, name: admin.name }
+        };
+
+        const runner = new BatchRunner({
+            wallets,
+            concurrency,
+            previousResults: batchJobStore.getResults(job),
+            onTransferStart: (index) => batchJobStore.markSending(job.id, index),
+            onResult: (entry) => batchJobStore.recordResult(job.id, entry),
+            stopWhen: targetTier ? () => tierTracker.hasReached(targetTier) : null,
+            refill: job.cycle ? (index) => this.nextTierWallet(job, index) : null,
+            maxConsecutiveFailures: job.cycle ? this.tierMaxFailures : Infinity,
+            transfer: (wallet, index) => transferService.transferFromPool(wallet.address, wallet.amount, {
+                ...transferOptions,
+                context: { ...context, walletIndex: index },
+                wait: true,
+                perAccountCap: concurrency > 1 ? this.perAccountCap : Infinity,
+                onPause: (reason) => this.editStatus(
+                    chatId,
+                    messageId,
+                    this.formatPause(reason, runner.getProgress()),
+                    this.controlKeyboard(job.id, runner.paused)
+                )
+            }),
+            onProgress: (progress) => this.editStatus(
+                chatId,
+                messageId,
+                this.formatProgress(progress),
+                this.controlKeyboard(job.id, progress.paused)
+            )
+        });
+
+        const run = { runner, chatId, messageId, cancelledBy: null };
+        this.activeRuns.set(job.id, run);
+
+        let summary;
+        try {
+            summary = await runner.run();
+        } finally {
+            this.activeRuns.delete(job.id);
+        }
+        summary.cancelledBy = run.cancelledBy;
+        summary.targetTier = targetTier;
+        batchJobStore.completeJob(job.id, summary);
+
+        const buttons = [];
+        if (summary.failed > 0) {
+            buttons.push([Markup.button.callback(`🔁 Retry failed (${summary.failed})`, `batch_retry_${job.id}`)]);
+        }
+        buttons.push([Markup.button.callback('« Kembali', 'admin_menu')]);
+
+        await this.editStatus(chatId, messageId, this.formatSummary(summary), Markup.inlineKeyboard(buttons));
+
+        try {
+            await this.sendReport(chatId, batchJobStore.getJob(job.id) || job);
+        } catch (error) {
+            logger.error(`Failed to send batch report ${job.id}:`, error.message);
+        }
+
+        auditLogger.logTransfer(admin.id, admin.name, {
+            total: summary.total,
+            success: summary.success,
+            failed: summary.failed,
+            mysteryXP: summary.mysteryXP,
+            concurrency: summary.concurrency,
+            cancelled: summary.cancelled,
+            skipped: summary.skipped,
+            amountStrategy: job.retryOf ? 'amount asli' : amountStrategy.describe(job.amountStrategy),
+            totalAmount: this.sumAmount(wallets)
+        });
+
+        logger.batch(summary.cancelled ? 'Cancelled' : 'Completed', { success: summary.success, failed: summary.failed, total: summary.total });
+        return summary;
+    }
+
+    formatPause(reason, progress) {
+        const detail = reason === 'auth'
+            ? `🔑 Token akun Diamante expired.\n`
+            : `🛠️ Diamante API sedang tidak tersedia (circuit breaker terbuka).\n`;
+        const resume = reason === 'auth'
+            ? `Batch akan lanjut otomatis setelah Super Admin mengirim token baru.`
+            : `Batch akan lanjut otomatis setelah API pulih.`;
+
+        return `⏸️ <b>Batch Transfer Dijeda</b>\n\n` +
+            detail +
+            `📊 Progress: ${progress.completed}/${progress.total}\n\n` +
+            resume;
+    }
+
+    formatProgress(progress) {
+        const rate = progress.completed > 0 ? (progress.success / progress.completed) * 100 : 0;
+        const title = progress.paused ? '⏸️ <b>Batch Transfer Dijeda</b>' : '🚀 <b>Batch Transfer Progress</b>';
+
+        return `${title}\n\n` +
+            `📊 Progress: ${progress.completed}/${progress.total}\n` +
+            `✅ Success: ${progress.success}\n` +
+            `❌ Failed: ${progress.failed}\n` +
+            `📈 Rate: ${rate.toFixed(1)}%\n` +
+            `⚙️ Mode: ${this.formatMode(progress.concurrency)}\n` +
+            progress.pace;
+    }
+
+    groupErrors(failedWallets) {
+        const groups = new Map();
+        for (const wallet of failedWallets) {
+            groups.set(wallet.error, (groups.get(wallet.error) || 0) + 1);
+        }
+        return Array.from(groups.entries())
+            .map(([reason, count]) => ({ reason, count }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    formatFailures(failedWallets, limit = 10) {
+        if (failedWallets.length === 0) return '';
+
+        let message = `\n⚠️ <b>Alasan gagal:</b>\n`;
+        for (const { reason, count } of this.groupErrors(failedWallets)) {
+            message += `   • ${validationHelper.sanitizeInput(reason)} (${count}x)\n`;
+        }
+
+        message += `\n❌ <b>Wallet gagal:</b>\n`;
+        for (const wallet of failedWallets.slice(0, limit)) {
+            message += `   #${wallet.idx} <code>${wallet.address}</code>\n`;
+        }
+        if (failedWallets.length > limit) {
+            message += `   ... dan ${failedWallets.length - limit} lainnya\n`;
+        }
+
+        return message;
+    }
+
+    formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+
+        return `${Math.floor(minutes / 60)}j ${minutes % 60}m`;
+    }
+
+    // Format sama dengan summary batch, tapi dari hasil simulasi
+    formatDryRun(plan) {
+        let message = `🧪 <b>TRANSFER SUMMARY (DRY-RUN)</b>\n\n`;
+        message += `💼 Total Wallet: ${plan.total}\n`;
+        message += `✅ Akan dikirim: ${plan.valid}\n`;
+        message += `❌ Tidak valid: ${plan.invalid.length}\n`;
+
+        if (plan.invalid.length > 0) {
+            message += plan.invalid.slice(0, 5).map(i => `   • #${i.index} ${validationHelper.sanitizeInput(i.errors.join(', '))}`).join('\n') + '\n';
+        }
+
+        if (plan.duplicates.length > 0) {
+            message += `\n⚠️ <b>Duplikat:</b> ${plan.duplicates.length} address\n`;
+            for (const dup of plan.duplicates.slice(0, 5)) {
+                message += `   • <code>${dup.address.slice(0, 10)}...${dup.address.slice(-4)}</code> (${dup.count}x)\n`;
+            }
+        }
+
+        message += `\n💎 Total amount: <b>${plan.totalAmount.toFixed(4)} DIAM</b>\n`;
+        if ('amountStrategy' in plan) {
+            message += `💰 Strategi: ${amountStrategy.describe(plan.amountStrategy)}\n`;
+        }
+        if (!plan.balances.known) {
+            message += `💰 Saldo: tidak bisa dicek\n`;
+        } else {
+            message += `💰 Saldo akun: ${plan.balances.total.toFixed(4)} DIAM\n`;
+            if (plan.reserve > 0) {
+                message += `🛡️ Reserve: ${plan.reserve} DIAM\n`;
+            }
+            if (plan.balances.accounts.length > 1) {
+                for (const account of plan.balances.accounts) {
+                    message += `   • ${account.label}: ${account.balance !== null ? account.balance.toFixed(4) : '-'}\n`;
+                }
+            }
+            message += plan.sufficient
+                ? `✅ Saldo cukup\n`
+                : `❌ Kurang ${plan.shortfall.toFixed(4)} DIAM\n`;
+        }
+
+        message += `\n⚙️ Mode: ${this.formatMode(plan.concurrency)}`;
+        message += `\n⏱️ Estimasi durasi: ~${this.formatDuration(plan.estimatedMs)} (belum termasuk waktu respon API)`;
+        message += `\n\n<i>Tidak ada transfer yang dikirim.</i>`;
+
+        return message;
+    }
+
+    formatSummary(summary) {
+        const processed = summary.success + summary.failed;
+        const successRate = (processed > 0 ? (summary.success / processed) * 100 : 0).toFixed(1);
+
+        let message = summary.cancelled
+            ? `⏹️ <b>TRANSFER SUMMARY (DIBATALKAN)</b>\n\n`
+            : `📊 <b>TRANSFER SUMMARY</b>\n\n`;
+        message += `💼 Total Wallet: ${summary.total}\n`;
+        message += `✅ Success: ${summary.success}\n`;
+        message += `❌ Failed: ${summary.failed}\n`;
+        if (summary.unknown > 0) {
+            message += `❓ Status tidak pasti: ${summary.unknown} (cek manual, tidak ikut retry)\n`;
+        }
+        if (summary.cancelled || summary.skipped > 0) {
+            message += `⏭️ Skipped: ${summary.skipped}\n`;
+        }
+        if (summary.stopReason === 'failures') {
+            message += `⛔ Dihentikan: ${this.tierMaxFailures} transfer gagal berturut-turut\n`;
+        }
+        message += `📈 Success Rate: <b>${successRate}%</b>\n`;
+
+        if (summary.targetTier) {
+            const needed = tierTracker.getNeededTransfers(summary.targetTier);
+            message += `🎯 Target ${this.formatTarget(summary.targetTier)}: `;
+            message += needed === 0 ? `✅ tercapai\n` : `⚠️ belum tercapai (${needed} tx lagi)\n`;
+        }
+
+        if (summary.mysteryXP > 0) {
+            message += `\n🎁 Mystery Rewards: ${summary.mysteryXP} XP (${summary.mysteryCount}x)\n`;
+        }
+
+        message += this.formatFailures(summary.failedWallets);
+
+        message += `\n⚙️ Mode: ${this.formatMode(summary.concurrency)}`;
+        message += `\n${summary.pace}`;
+        message += `\n⏱️ Durasi: ${this.formatDuration(summary.durationMs)}`;
+        message += summary.cancelled
+            ? `\n⏹️ Dibatalkan oleh ${summary.cancelledBy || 'admin'}: ${new Date().toLocaleTimeString('id-ID')}`
+            : `\n⏰ Completed: ${new Date().toLocaleTimeString('id-ID')}`;
+
+        return message;
+    }
+}
+
+export default new BatchTransferHandler();
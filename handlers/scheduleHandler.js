@@ -0,0 +1,334 @@
+// File: handlers/scheduleHandler.js
+// Handler menu jadwal otomatis (batch transfer & faucet): list, tambah, ubah, hapus + executor
+
+import { Markup } from 'telegraf';
+import logger from '../utils/logger.js';
+import auditLogger from '../utils/auditLogger.js';
+import validationHelper from '../utils/validationHelper.js';
+import sessionManager from '../middleware/session.js';
+import scheduler from '../services/scheduler.js';
+import faucetService from '../services/faucetService.js';
+import amountStrategy from '../services/amountStrategy.js';
+import batchTransferHandler from './batchTransferHandler.js';
+
+const SPEC_PROMPTS = {
+    daily: 'Kirim jam (HH:MM, waktu server).\nContoh: <code>07:30</code>',
+    interval: 'Kirim interval dalam jam (1 - 168).\nContoh: <code>6</code>',
+    cron: 'Kirim ekspresi cron 5 field: menit jam tanggal bulan hari.\nContoh: <code>0 */6 * * *</code> atau <code>30 7 * * 1-5</code>'
+};
+
+class ScheduleHandler {
+    constructor() {
+        this.bot = null;
+    }
+
+    setBot(bot) {
+        this.bot = bot;
+    }
+
+    registerExecutors() {
+        scheduler.setExecutor('batch', (schedule) => this.withAudit(schedule, () => batchTransferHandler.runScheduled(schedule)));
+        scheduler.setExecutor('faucet', (schedule) => this.withAudit(schedule, () => this.runFaucet(schedule)));
+    }
+
+    async withAudit(schedule, execute) {
+        try {
+            const result = await execute();
+            auditLogger.logScheduleRun(schedule, result);
+            return result;
+        } catch (error) {
+            auditLogger.logScheduleRun(schedule, { error: error.message });
+            this.bot?.telegram.sendMessage(
+                schedule.createdBy.id,
+                `⏰ Jadwal <code>${schedule.id}</code> gagal dijalankan: ${error.message}`,
+                { parse_mode: 'HTML' }
+            ).catch(() => {});
+            throw error;
+        }
+    }
+
+    async runFaucet(schedule) {
+        const results = await faucetService.claimAll();
+        const claimed = results.filter(r => r.success).length;
+
+        const message = `⏰ *Faucet Terjadwal*\n` + faucetService.formatResults(results);
+        await this.bot.telegram.sendMessage(schedule.createdBy.id, message, { parse_mode: 'Markdown' });
+
+        return { claimed, total: results.length };
+    }
+
+    formatTime(iso) {
+        return iso ? new Date(iso).toLocaleString('id-ID') : '-';
+    }
+
+    formatLastResult(result) {
+        if (!result) return '-';
+        if (result.error) return `❌ ${result.error}`;
+        if (result.skipped) return `⏭️ Dilewati: ${result.reason}`;
+        if (result.claimed !== undefined) return `🚰 ${result.claimed}/${result.total} akun claim`;
+        return `✅ ${result.success} / ❌ ${result.failed} dari ${result.total}` + (result.cancelled ? ' (dibatalkan)' : '');
+    }
+
+    async showList(ctx) {
+        const schedules = scheduler.getSchedules();
+        const tasks = scheduler.getTasks();
+
+        let message = `⏰ <b>Jadwal Otomatis</b>\n\n`;
+
+        if (schedules.length === 0) {
+            message += `Belum ada jadwal.\n`;
+        }
+
+        for (const schedule of schedules) {
+            message += `${schedule.enabled ? '🟢' : '⚪'} <b>${tasks[schedule.task]}</b> — ${scheduler.describe(schedule)}\n`;
+            message += `   ⏭️ ${schedule.enabled ? this.formatTime(schedule.nextRunAt) : 'nonaktif'}\n`;
+        }
+
+        const buttons = schedules.map(schedule => [
+            Markup.button.callback(`${tasks[schedule.task]} (${schedule.id})`, `schedule_view_${schedule.id}`)
+        ]);
+        buttons.push([Markup.button.callback('➕ Tambah Jadwal', 'schedule_add')]);
+        buttons.push([Markup.button.callback('« Kembali', 'admin_menu')]);
+
+        await ctx.editMessageText(message, { parse_mode: 'HTML', ...Markup.inlineKeyboard(buttons) });
+    }
+
+    async showDetail(ctx, scheduleId) {
+        const schedule = scheduler.getSchedule(scheduleId);
+        if (!schedule) {
+            await ctx.answerCbQuery('❌ Jadwal tidak ditemukan', { show_alert: true });
+            return false;
+        }
+
+        let message = `⏰ <b>Detail Jadwal</b>\n\n`;
+        message += `🆔 ID: <code>${schedule.id}</code>\n`;
+        message += `📌 Task: ${scheduler.getTasks()[schedule.task]}\n`;
+        message += `🕐 Waktu: ${scheduler.describe(schedule)}\n`;
+        if (schedule.task === 'batch') {
+            message += `⚙️ Mode: ${batchTransferHandler.formatMode(schedule.options?.concurrency || 1)}\n`;
+            message += `👥 Wallet: ${validationHelper.escapeHtml(batchTransferHandler.describeFilter(schedule.options?.walletFilter))}\n`;
+            message += `💰 Amount: ${amountStrategy.describe(schedule.options?.amountStrategy)}\n`;
+        }
+        message += `📊 Status: ${schedule.enabled ? '🟢 Aktif' : '⚪ Nonaktif'}`;
+        message += scheduler.isRunning(schedule.id) ? ' (sedang berjalan)\n' : '\n';
+        message += `⏭️ Berikutnya: ${schedule.enabled ? this.formatTime(schedule.nextRunAt) : '-'}\n`;
+        message += `⏮️ Terakhir: ${this.formatTime(schedule.lastRunAt)}\n`;
+        message += `📋 Hasil: ${this.formatLastResult(schedule.lastResult)}\n`;
+        message += `👤 Dibuat oleh: ${validationHelper.escapeHtml(schedule.createdBy.name)}`;
+
+        await ctx.editMessageText(message, {
+            parse_mode: 'HTML',
+            ...Markup.inlineKeyboard([
+                [
+                    Markup.button.callback(schedule.enabled ? '⏸️ Nonaktifkan' : '▶️ Aktifkan', `schedule_toggle_${schedule.id}`),
+                    Markup.button.callback('✏️ Ubah Waktu', `schedule_edit_${schedule.id}`)
+                ],
+                [Markup.button.callback('🗑️ Hapus', `schedule_delete_${schedule.id}`)],
+                [Markup.button.callback('« Kembali', 'schedules')]
+            ])
+        });
+        return true;
+    }
+
+    async view(ctx, scheduleId) {
+        if (await this.showDetail(ctx, scheduleId)) {
+            ctx.answerCbQuery();
+        }
+    }
+
+    async startAdd(ctx) {
+        const tasks = scheduler.getTasks();
+
+        await ctx.editMessageText('➕ <b>Jadwal Baru</b>\n\nPilih task:', {
+            parse_mode: 'HTML',
+            ...Markup.inlineKeyboard([
+                ...Object.entries(tasks).map(([key, label]) => [Markup.button.callback(label, `schedule_task_${key}`)]),
+                [Markup.button.callback('❌ Batal', 'schedules')]
+            ])
+        });
+        ctx.answerCbQuery();
+    }
+
+    // Opsi batch diambil saat task dipilih dan ikut disimpan di draft, jadi tidak tergantung
+    // state menu lain sampai jadwal disimpan
+    captureBatchOptions(userId) {
+        const { concurrency, walletFilter, amountStrategy } = batchTransferHandler.getOptions(userId);
+        return { concurrency, walletFilter, amountStrategy };
+    }
+
+    formatBatchOptions(options) {
+        const walletCount = batchTransferHandler.filterWallets(options.walletFilter).length;
+        return `⚙️ Mode: ${batchTransferHandler.formatMode(options.concurrency || 1)}\n` +
+            `👥 Wallet: ${validationHelper.escapeHtml(batchTransferHandler.describeFilter(options.walletFilter))} (${walletCount} wallet)\n` +
+            `💰 Amount: ${amountStrategy.describe(options.amountStrategy)}\n`;
+    }
+
+    // Filter di draft harus masih menunjuk wallet: grup / kontributor yang sudah kosong jangan disimpan
+    checkWalletFilter(options) {
+        if (options.walletFilter && batchTransferHandler.filterWallets(options.walletFilter).length === 0) {
+            throw new Error(`Filter wallet ${batchTransferHandler.describeFilter(options.walletFilter)} tidak cocok dengan wallet mana pun.`);
+        }
+    }
+
+    async chooseTask(ctx, task) {
+        const draft = { task };
+        if (task === 'batch') {
+            draft.options = this.captureBatchOptions(ctx.from.id);
+        }
+        sessionManager.setData(ctx.from.id, 'scheduleDraft', draft);
+
+        const types = scheduler.getTypes();
+        await ctx.editMessageText(`➕ <b>Jadwal Baru</b>\n\n📌 Task: ${scheduler.getTasks()[task]}\n\nPilih tipe jadwal:`, {
+            parse_mode: 'HTML',
+            ...Markup.inlineKeyboard([
+                ...Object.entries(types).map(([key, label]) => [Markup.button.callback(label, `schedule_type_${key}`)]),
+                [Markup.button.callback('❌ Batal', 'schedules')]
+            ])
+        });
+        ctx.answerCbQuery();
+    }
+
+    async chooseType(ctx, type) {
+        const draft = sessionManager.getData(ctx.from.id, 'scheduleDraft');
+        if (!draft?.task) {
+            await ctx.answerCbQuery('⏰ Sesi kadaluarsa, ulangi dari awal', { show_alert: true });
+            return;
+        }
+
+        sessionManager.setState(ctx.from.id, 'waiting_schedule_spec', { scheduleDraft: { ...draft, type } });
+
+        let message = `➕ <b>Jadwal Baru</b>\n\n`;
+        if (draft.options) {
+            message += `Opsi batch yang dipakai (ubah lewat menu Batch Transfer sebelum membuat jadwal):\n`;
+            message += this.formatBatchOptions(draft.options) + `\n`;
+        }
+        message += SPEC_PROMPTS[type];
+
+        await ctx.editMessageText(message, {
+            parse_mode: 'HTML',
+            ...Markup.inlineKeyboard([[Markup.button.callback('❌ Batal', 'schedules')]])
+        });
+        ctx.answerCbQuery();
+    }
+
+    async startEdit(ctx, scheduleId) {
+        const schedule = scheduler.getSchedule(scheduleId);
+        if (!schedule) {
+            await ctx.answerCbQuery('❌ Jadwal tidak ditemukan', { show_alert: true });
+            return;
+        }
+
+        sessionManager.setState(ctx.from.id, 'waiting_schedule_spec', {
+            scheduleDraft: { editId: schedule.id, type: schedule.type }
+        });
+
+        await ctx.editMessageText(
+            `✏️ <b>Ubah Waktu Jadwal</b>\n\nSekarang: ${scheduler.describe(schedule)}\n\n${SPEC_PROMPTS[schedule.type]}`,
+            {
+                parse_mode: 'HTML',
+                ...Markup.inlineKeyboard([[Markup.button.callback('❌ Batal', `schedule_view_${schedule.id}`)]])
+            }
+        );
+        ctx.answerCbQuery();
+    }
+
+    async handleSpecInput(ctx) {
+        const userId = ctx.from.id;
+        const draft = sessionManager.getData(userId, 'scheduleDraft');
+        if (!draft?.type) return false;
+
+        const input = ctx.message.text.trim();
+        let schedule;
+
+        try {
+            if (draft.editId) {
+                const before = scheduler.getSchedule(draft.editId);
+                if (!before) {
+                    sessionManager.clearState(userId);
+                    await ctx.reply('❌ Jadwal sudah tidak ada.');
+                    return true;
+                }
+                const previousSpec = before.spec;
+                schedule = scheduler.updateSpec(draft.editId, input);
+                auditLogger.logScheduleUpdate(userId, ctx.from.first_name, schedule.id, { from: previousSpec, to: schedule.spec });
+            } else {
+                if (draft.options) this.checkWalletFilter(draft.options);
+                schedule = scheduler.createSchedule({
+                    task: draft.task,
+                    type: draft.type,
+                    spec: input,
+                    options: draft.options || {},
+                    admin: { id: userId, name: ctx.from.first_name }
+                });
+                auditLogger.logScheduleCreate(userId, ctx.from.first_name, schedule);
+            }
+        } catch (error) {
+            await ctx.reply(`❌ ${error.message}\n\nCoba lagi atau tekan Batal.`);
+            return true;
+        }
+
+        sessionManager.clearState(userId);
+
+        await ctx.reply(
+            `✅ <b>Jadwal ${draft.editId ? 'diperbarui' : 'dibuat'}</b>\n\n` +
+            `📌 ${scheduler.getTasks()[schedule.task]}\n` +
+            `🕐 ${scheduler.describe(schedule)}\n` +
+            (schedule.task === 'batch' ? this.formatBatchOptions(schedule.options) : '') +
+            `⏭️ Berikutnya: ${this.formatTime(schedule.nextRunAt)}`,
+            {
+                parse_mode: 'HTML',
+                ...Markup.inlineKeyboard([[Markup.button.callback('⏰ Lihat Jadwal', 'schedules')]])
+            }
+        );
+        return true;
+    }
+
+    async toggle(ctx, scheduleId) {
+        const current = scheduler.getSchedule(scheduleId);
+        if (!current) {
+            await ctx.answerCbQuery('❌ Jadwal tidak ditemukan', { show_alert: true });
+            return;
+        }
+
+        const schedule = scheduler.setEnabled(scheduleId, !current.enabled);
+        auditLogger.logScheduleUpdate(ctx.from.id, ctx.from.first_name, schedule.id, { enabled: schedule.enabled });
+
+        await this.showDetail(ctx, scheduleId);
+        ctx.answerCbQuery(schedule.enabled ? '▶️ Jadwal aktif' : '⏸️ Jadwal nonaktif');
+    }
+
+    async confirmDelete(ctx, scheduleId) {
+        const schedule = scheduler.getSchedule(scheduleId);
+        if (!schedule) {
+            await ctx.answerCbQuery('❌ Jadwal tidak ditemukan', { show_alert: true });
+            return;
+        }
+
+        await ctx.editMessageText(
+            `🗑️ Hapus jadwal <b>${scheduler.getTasks()[schedule.task]}</b> (${scheduler.describe(schedule)})?`,
+            {
+                parse_mode: 'HTML',
+                ...Markup.inlineKeyboard([[
+                    Markup.button.callback('✅ Hapus', `schedule_remove_${schedule.id}`),
+                    Markup.button.callback('❌ Batal', `schedule_view_${schedule.id}`)
+                ]])
+            }
+        );
+        ctx.answerCbQuery();
+    }
+
+    async remove(ctx, scheduleId) {
+        if (!scheduler.deleteSchedule(scheduleId)) {
+            await ctx.answerCbQuery('❌ Jadwal tidak ditemukan', { show_alert: true });
+            return;
+        }
+
+        auditLogger.logScheduleDelete(ctx.from.id, ctx.from.first_name, scheduleId);
+        logger.info(`Schedule ${scheduleId} deleted by ${ctx.from.first_name}`);
+
+        await this.showList(ctx);
+        ctx.answerCbQuery('🗑️ Jadwal dihapus');
+    }
+}
+
+export default new ScheduleHandler();
@@ -0,0 +1,159 @@
+// File: handlers/tokenRotationHandler.js
+// Handler untuk rotasi ACCESS_TOKEN Diamante yang expired langsung dari Telegram
+
+import { Markup } from 'telegraf';
+import logger from '../utils/logger.js';
+import auditLogger from '../utils/auditLogger.js';
+import sessionManager from '../middleware/session.js';
+import accountPool from '../services/accountPool.js';
+import DiamanteClient from '../services/diamanteClient.js';
+
+class TokenRotationHandler {
+    constructor() {
+        this.bot = null;
+        this.primaryAdminId = process.env.ADMIN_ID || null;
+    }
+
+    setBot(bot) {
+        this.bot = bot;
+    }
+
+    isPrimaryAdmin(userId) {
+        return Boolean(this.primaryAdminId) && userId.toString() === this.primaryAdminId.toString();
+    }
+
+    respond(ctx, text) {
+        return ctx.callbackQuery ? ctx.answerCbQuery(text) : ctx.reply(text);
+    }
+
+    async notifyAuthFailure(account) {
+        if (!this.bot || !this.primaryAdminId) {
+            logger.warn(`Token expired for ${account.label}, but no primary admin to notify`);
+            return;
+        }
+
+        const paused = accountPool.isPausedForAuth();
+
+        let message = `🔑 <b>ACCESS TOKEN EXPIRED</b>\n\n`;
+        message += `👛 Akun: <b>${account.label}</b> (<code>${account.id}</code>)\n`;
+        message += `🆔 User ID: <code>${account.userId}</code>\n\n`;
+        message += paused
+            ? `⏸️ Semua transfer dijeda sampai token baru dikirim.`
+            : `⚠️ Akun ini dilewati sampai token baru dikirim.`;
+
+        try {
+            await this.bot.telegram.sendMessage(this.primaryAdminId, message, {
+                parse_mode: 'HTML',
+                ...Markup.inlineKeyboard([
+                    [Markup.button.callback('🔑 Kirim Token Baru', `token_rotate_${account.id}`)]
+                ])
+            });
+        } catch (error) {
+            logger.error('Failed to notify admin about expired token:', error.message);
+        }
+    }
+
+    async promptToken(ctx, accountId) {
+        if (!this.isPrimaryAdmin(ctx.from.id)) {
+            return this.respond(ctx, '🔒 Hanya Super Admin');
+        }
+
+        const account = accountPool.getAccount(accountId);
+        if (!account) {
+            return this.respond(ctx, '❌ Akun tidak ditemukan');
+        }
+
+        if (ctx.chat?.type !== 'private') {
+            return this.respond(ctx, '🔒 Kirim token hanya lewat private chat dengan bot');
+        }
+
+        sessionManager.setState(ctx.from.id, 'waiting_account_token', { accountId });
+
+        await ctx.reply(
+            `🔑 <b>Rotasi Token - ${account.label}</b>\n\n` +
+            `Kirimkan <code>access_token</code> baru (nilai cookie dari camp.diamante.io).\n\n` +
+            `<i>Pesan berisi token akan langsung dihapus.</i>`,
+            {
+                parse_mode: 'HTML',
+                ...Markup.inlineKeyboard([[Markup.button.callback('❌ Batal', 'token_rotate_cancel')]])
+            }
+        );
+
+        if (ctx.callbackQuery) await ctx.answerCbQuery();
+    }
+
+    async cancel(ctx) {
+        sessionManager.clearState(ctx.from.id);
+        await ctx.answerCbQuery('Dibatalkan');
+        await ctx.editMessageText('❌ Rotasi token dibatalkan.');
+    }
+
+    async handleTokenInput(ctx) {
+        const state = sessionManager.getState(ctx.from.id);
+        if (state !== 'waiting_account_token') return false;
+
+        if (!this.isPrimaryAdmin(ctx.from.id)) {
+            sessionManager.clearState(ctx.from.id);
+            return false;
+        }
+
+        const accountId = sessionManager.getData(ctx.from.id, 'accountId');
+        const accessToken = ctx.message.text.trim();
+
+        try {
+            await ctx.deleteMessage();
+        } catch (e) {}
+
+        const account = accountPool.getAccount(accountId);
+        if (!account) {
+            sessionManager.clearState(ctx.from.id);
+            await ctx.reply('❌ Akun tidak ditemukan.');
+            return true;
+        }
+
+        if (!accessToken || /\s/.test(accessToken)) {
+            await ctx.reply('❌ Format token tidak valid. Kirim ulang token tanpa spasi.');
+            return true;
+        }
+
+        const statusMsg = await ctx.reply('🔍 Memvalidasi token...');
+
+        const probe = new DiamanteClient({
+            baseUrl: process.env.DIAMANTE_API_BASE,
+            accessToken,
+            userId: account.userId
+        });
+
+        let result;
+        try {
+            result = await probe.getBalance();
+        } catch (error) {
+            result = { success: false, message: error.message };
+        }
+
+        if (!result?.success) {
+            await ctx.telegram.editMessageText(ctx.chat.id, statusMsg.message_id, null,
+                `❌ Token ditolak: ${result?.message || 'Unknown error'}\n\nKirim ulang token yang valid.`
+            );
+            return true;
+        }
+
+        sessionManager.clearState(ctx.from.id);
+        const wasPaused = accountPool.isPausedForAuth();
+        accountPool.rotateToken(account.id, accessToken);
+
+        auditLogger.logTokenRotation(ctx.from.id, ctx.from.first_name, account.id, account.label);
+
+        await ctx.telegram.editMessageText(ctx.chat.id, statusMsg.message_id, null,
+            `✅ <b>Token diperbarui!</b>\n\n` +
+            `👛 Akun: ${account.label}\n` +
+            `💰 Balance: ${result.data.balance} DIAM` +
+            (wasPaused ? `\n\n▶️ Transfer yang dijeda dilanjutkan.` : ''),
+            { parse_mode: 'HTML' }
+        );
+
+        return true;
+    }
+}
+
+export default new TokenRotationHandler();
@@ -0,0 +1,91 @@
+// File: handlers/tweetContentHandler.js
+// Handler menu Tweet Content: teks siap posting per akun, link share X, dan tandai sudah diposting
+
+import { Markup } from 'telegraf';
+import auditLogger from '../utils/auditLogger.js';
+import validationHelper from '../utils/validationHelper.js';
+import accountPool from '../services/accountPool.js';
+import tweetContentStore from '../services/tweetContentStore.js';
+
+const MAX_MESSAGE_LENGTH = 3800;
+
+class TweetContentHandler {
+    formatTime(iso) {
+        return iso ? new Date(iso).toLocaleString('id-ID') : '-';
+    }
+
+    getLabel(accountId, fallback) {
+        return accountPool.getAccount(accountId)?.label || fallback || accountId;
+    }
+
+    async show(ctx) {
+        let message = `📝 <b>Tweet Content</b>\n\n`;
+        const buttons = [];
+
+        const accountIds = tweetContentStore.getAccountIds();
+        if (accountIds.length === 0) {
+            message += `Belum ada konten. Konten tweet dikumpulkan otomatis setelah transfer sukses di batch.\n`;
+        }
+
+        for (const accountId of accountIds) {
+            const pending = tweetContentStore.getPending(accountId);
+            const lastPosted = tweetContentStore.getLastPosted(accountId);
+            const label = this.getLabel(accountId, (pending[0] || lastPosted)?.accountLabel);
+
+            let section = `👛 <b>${validationHelper.escapeHtml(label)}</b>\n`;
+            section += lastPosted
+                ? `✅ Terakhir diposting: ${this.formatTime(lastPosted.postedAt)} oleh ${validationHelper.escapeHtml(lastPosted.postedBy?.name || '-')}\n`
+                : `⚪ Belum pernah diposting\n`;
+
+            if (pending.length === 0) {
+                section += `Tidak ada konten baru.\n\n`;
+            } else {
+                const item = pending[0];
+                section += `<code>${validationHelper.escapeHtml(item.text)}</code>\n`;
+                if (pending.length > 1) {
+                    section += `<i>+${pending.length - 1} konten lain belum diposting</i>\n`;
+                }
+                section += `\n`;
+            }
+
+            if (message.length + section.length > MAX_MESSAGE_LENGTH) {
+                message += `<i>Daftar dipotong, terlalu banyak akun.</i>\n`;
+                break;
+            }
+            message += section;
+
+            if (pending.length > 0) {
+                buttons.push([
+                    Markup.button.url(`🐦 Share (${label})`, tweetContentStore.shareUrl(pending[0].text)),
+                    Markup.button.callback('✅ Sudah Diposting', `tweet_posted_${pending[0].id}`)
+                ]);
+            }
+        }
+
+        buttons.push([Markup.button.callback('🔄 Refresh', 'tweet_content')]);
+        buttons.push([Markup.button.callback('« Kembali', 'admin_menu')]);
+
+        await ctx.editMessageText(message, { parse_mode: 'HTML', ...Markup.inlineKeyboard(buttons) });
+    }
+
+    async markPosted(ctx, itemId) {
+        const item = tweetContentStore.getItem(itemId);
+        if (!item) {
+            await ctx.answerCbQuery('❌ Konten tidak ditemukan', { show_alert: true });
+            return;
+        }
+
+        if (item.postedAt) {
+            await ctx.answerCbQuery('ℹ️ Sudah ditandai sebelumnya');
+        } else {
+            const adminName = ctx.from.first_name || 'Admin';
+            tweetContentStore.markPosted(itemId, { id: ctx.from.id, name: adminName });
+            auditLogger.logTweetPosted(ctx.from.id, adminName, item);
+            await ctx.answerCbQuery(`✅ Ditandai sudah diposting (${this.getLabel(item.accountId, item.accountLabel)})`);
+        }
+
+        await this.show(ctx);
+    }
+}
+
+export default new TweetContentHandler();
@@ -0,0 +1,338 @@
+// File: handlers/walletImportHandler.js
+// Import wallet massal dari dokumen .txt / .csv / .json: parse, preview jumlah baru/duplikat/invalid, lalu konfirmasi
+
+import { Markup } from 'telegraf';
+import logger from '../utils/logger.js';
+import auditLogger from '../utils/auditLogger.js';
+import validationHelper from '../utils/validationHelper.js';
+import sessionManager from '../middleware/session.js';
+
+const EXTENSIONS = ['txt', 'csv', 'json'];
+const MAX_FILE_SIZE = 1024 * 1024;
+const MAX_ROWS = 5000;
+const DEFAULT_AMOUNT = 0.001;
+const PREVIEW_INVALID_ROWS = 5;
+
+const ADDRESS_HEADERS = ['address', 'wallet', 'alamat'];
+const AMOUNT_HEADERS = ['amount', 'jumlah'];
+const TAG_HEADERS = ['tags', 'tag', 'group', 'grup'];
+
+function splitTags(value) {
+    if (Array.isArray(value)) return value.map(String);
+    return String(value || '').split(/[\s|]+/).filter(Boolean);
+}
+
+class WalletImportHandler {
+    constructor() {
+        this.walletStore = null;
+        // 0 = hanya admin; > 0 = user boleh import sampai total wallet miliknya mencapai limit ini
+        this.userLimit = parseInt(process.env.WALLET_IMPORT_USER_LIMIT || '0', 10);
+    }
+
+    // { getWallets, getUserWallets, addWallets } dari index.js (sumber data wallet yang sama dengan /addwallet)
+    setWalletStore(walletStore) {
+        this.walletStore = walletStore;
+    }
+
+    canImport(isAdmin) {
+        return isAdmin || this.userLimit > 0;
+    }
+
+    getExtension(filename = '') {
+        const match = filename.toLowerCase().match(/\.([a-z0-9]+)$/);
+        return match ? match[1] : null;
+    }
+
+    getHelp(isAdmin) {
+        let message = `📥 <b>Import Wallet dari File</b>\n\n`;
+        message += `Kirim dokumen <code>.txt</code>, <code>.csv</code> atau <code>.json</code> (maks ${MAX_ROWS} baris, 1 MB).\n\n`;
+
+        if (isAdmin) {
+            message += `<b>TXT</b> — satu wallet per baris:\n<code>0xabc... 0.005 team vip</code>\n\n`;
+            message += `<b>CSV</b> — kolom address, amount, tags (header opsional):\n<code>address,amount,tags\n0xabc...,0.005,team vip</code>\n\n`;
+            message += `<b>JSON</b> — array address atau objek:\n<code>[{"address": "0xabc...", "amount": 0.005, "tags": ["team"]}]</code>\n\n`;
+            message += `Amount kosong = ${DEFAULT_AMOUNT} DIAM. Preview ditampilkan sebelum wallet disimpan.`;
+        } else {
+            message += `Satu address per baris. Maksimal ${this.userLimit} wallet per user.\n`;
+            message += `Preview ditampilkan sebelum wallet disimpan.`;
+        }
+
+        return message;
+    }
+
+    // Baris mentah { line, address, amount, tags } (belum divalidasi)
+    parse(extension, content) {
+        if (extension === 'json') return this.parseJson(content);
+        return this.parseDelimited(content, extension === 'csv');
+    }
+
+    parseJson(content) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`JSON tidak valid: ${error.message}`);
+        }
+
+        const items = Array.isArray(data) ? data : data?.wallets;
+        if (!Array.isArray(items)) {
+            throw new Error('JSON harus berupa array wallet atau { "wallets": [...] }');
+        }
+
+        return items.map((item, index) => {
+            if (typeof item === 'string') {
+                return { line: index + 1, address: item.trim(), amount: null, tags: [] };
+            }
+            return {
+                line: index + 1,
+                address: String(item?.address || '').trim(),
+                amount: item?.amount ?? null,
+                tags: splitTags(item?.tags ?? item?.tag ?? item?.group)
+            };
+        });
+    }
+
+    parseDelimited(content, isCsv) {
+        const rows = [];
+        let columns = null;
+
+        content.split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) return;
+
+            const cells = isCsv
+                ? line.split(line.includes(';') && !line.includes(',') ? ';' : ',').map(c => c.trim().replace(/^"|"$/g, ''))
+                : line.split(/[\s,;]+/).filter(Boolean);
+
+            // Header CSV: baris pertama tanpa address yang punya kolom "address"
+            if (isCsv && !columns && rows.length === 0 && !cells.some(c => /^0x/i.test(c))) {
+                const names = cells.map(c => c.toLowerCase());
+                if (names.some(n => ADDRESS_HEADERS.includes(n))) {
+                    columns = {
+                        address: names.findIndex(n => ADDRESS_HEADERS.includes(n)),
+                        amount: names.findIndex(n => AMOUNT_HEADERS.includes(n)),
+                        tags: names.findIndex(n => TAG_HEADERS.includes(n))
+                    };
+                    return;
+                }
+            }
+
+            if (columns) {
+                rows.push({
+                    line: index + 1,
+                    address: cells[columns.address] || '',
+                    amount: columns.amount >= 0 && cells[columns.amount] ? cells[columns.amount] : null,
+                    tags: columns.tags >= 0 ? splitTags(cells[columns.tags]) : []
+                });
+                return;
+            }
+
+            // Tanpa header: address [amount] [tag...]; kolom kedua dianggap amount kalau berupa angka
+            const [address, second, ...rest] = cells;
+            const hasAmount = second !== undefined && /^-?\d*\.?\d+$/.test(second);
+            rows.push({
+                line: index + 1,
+                address,
+                amount: hasAmount ? second : null,
+                tags: [...(hasAmount || second === undefined ? [] : splitTags(second)), ...rest.flatMap(splitTags)]
+            });
+        });
+
+        return rows;
+    }
+
+    // Bagi baris jadi baru / duplikat / invalid / melebihi limit, dengan cek yang sama seperti addWallet
+    classify(rows, { isAdmin, userId }) {
+        const { getWallets, getUserWallets } = this.walletStore;
+        const known = new Set(getWallets().map(w => w.address.toLowerCase()));
+        const result = { fresh: [], duplicate: [], invalid: [], overLimit: [] };
+
+        const owned = (getUserWallets()[userId] || []).length;
+        const remaining = isAdmin ? Infinity : Math.max(0, this.userLimit - owned);
+
+        for (const row of rows) {
+            if (!validationHelper.isValidWalletAddress(row.address)) {
+                result.invalid.push({ ...row, reason: 'address tidak valid' });
+                continue;
+            }
+
+            // Amount & grup dari file hanya dipakai untuk import admin
+            const amount = isAdmin && row.amount !== null && row.amount !== '' ? row.amount : null;
+            if (amount !== null && !validationHelper.isValidAmount(amount)) {
+                result.invalid.push({ ...row, reason: `amount tidak valid (${amount})` });
+                continue;
+            }
+
+            const { tags, invalid } = validationHelper.parseTags(isAdmin ? row.tags : []);
+            if (invalid.length > 0) {
+                result.invalid.push({ ...row, reason: `grup tidak valid (${invalid.join(', ')})` });
+                continue;
+            }
+
+            const normalizedAddress = row.address.toLowerCase();
+            if (known.has(normalizedAddress)) {
+                result.duplicate.push(row);
+                continue;
+            }
+            known.add(normalizedAddress);
+
+            const entry = { line: row.line, address: row.address, amount: amount !== null ? parseFloat(amount) : DEFAULT_AMOUNT, tags };
+            if (result.fresh.length >= remaining) {
+                result.overLimit.push(entry);
+            } else {
+                result.fresh.push(entry);
+            }
+        }
+
+        return result;
+    }
+
+    async download(ctx, document) {
+        const link = await ctx.telegram.getFileLink(document.file_id);
+        const response = await fetch(link.href);
+        if (!response.ok) throw new Error(`Gagal mengunduh file (HTTP ${response.status})`);
+        return response.text();
+    }
+
+    // Dokumen dari admin / user yang diizinkan; false kalau bukan file import
+    async handleDocument(ctx, isAdmin) {
+        const document = ctx.message.document;
+        const extension = this.getExtension(document.file_name);
+        if (!EXTENSIONS.includes(extension)) return false;
+
+        if (!this.canImport(isAdmin)) {
+            await ctx.reply('🔒 Import wallet dari file hanya untuk admin.');
+            return true;
+        }
+
+        if (document.file_size > MAX_FILE_SIZE) {
+            await ctx.reply('❌ File terlalu besar (maks 1 MB).');
+            return true;
+        }
+
+        const userId = ctx.from.id.toString();
+        let rows;
+        try {
+            rows = this.parse(extension, await this.download(ctx, document));
+        } catch (error) {
+            logger.warn(`Wallet import from ${userId} failed: ${error.message}`);
+            await ctx.reply(`❌ File tidak bisa dibaca: ${error.message}`);
+            return true;
+        }
+
+        if (rows.length === 0) {
+            await ctx.reply('❌ Tidak ada wallet di file ini.');
+            return true;
+        }
+
+        if (rows.length > MAX_ROWS) {
+            await ctx.reply(`❌ Terlalu banyak baris (${rows.length}), maksimal ${MAX_ROWS} per file.`);
+            return true;
+        }
+
+        const summary = this.classify(rows, { isAdmin, userId });
+        sessionManager.setPendingAction(userId, 'wallet_import', { fileName: document.file_name, rows });
+
+        await ctx.reply(this.formatPreview(document.file_name, rows.length, summary, isAdmin), {
+            parse_mode: 'HTML',
+            ...this.previewKeyboard(summary.fresh.length)
+        });
+        return true;
+    }
+
+    formatPreview(fileName, total, summary, isAdmin) {
+        let message = `📥 <b>Preview Import Wallet</b>\n\n`;
+        message += `📄 File: <code>${validationHelper.escapeHtml(fileName)}</code>\n`;
+        message += `📊 Total baris: ${total}\n\n`;
+        message += `✅ Baru: ${summary.fresh.length}\n`;
+        message += `⚠️ Duplikat: ${summary.duplicate.length}\n`;
+        message += `❌ Tidak valid: ${summary.invalid.length}\n`;
+        if (summary.overLimit.length > 0) {
+            message += `🚫 Melebihi limit ${this.userLimit} wallet: ${summary.overLimit.length}\n`;
+        }
+
+        if (isAdmin && summary.fresh.length > 0) {
+            const totalAmount = summary.fresh.reduce((sum, w) => sum + w.amount, 0);
+            const tags = [...new Set(summary.fresh.flatMap(w => w.tags))];
+            message += `\n💰 Total amount wallet baru: ${parseFloat(totalAmount.toFixed(8))} DIAM\n`;
+            if (tags.length > 0) {
+                message += `🏷️ Grup: ${tags.join(', ')}\n`;
+            }
+        }
+
+        if (summary.invalid.length > 0) {
+            message += `\n<b>Baris tidak valid:</b>\n`;
+            for (const row of summary.invalid.slice(0, PREVIEW_INVALID_ROWS)) {
+                message += `• Baris ${row.line}: <code>${validationHelper.escapeHtml(row.address.slice(0, 42) || '-')}</code> — ${validationHelper.escapeHtml(row.reason)}\n`;
+            }
+            if (summary.invalid.length > PREVIEW_INVALID_ROWS) {
+                message += `• ... dan ${summary.invalid.length - PREVIEW_INVALID_ROWS} lainnya\n`;
+            }
+        }
+
+        message += summary.fresh.length > 0
+            ? `\nSimpan ${summary.fresh.length} wallet baru?`
+            : `\nTidak ada wallet baru untuk disimpan.`;
+
+        return message;
+    }
+
+    previewKeyboard(freshCount) {
+        const buttons = [];
+        if (freshCount > 0) {
+            buttons.push([Markup.button.callback(`✅ Import ${freshCount} Wallet`, 'wallet_import_confirm')]);
+        }
+        buttons.push([Markup.button.callback('❌ Batal', 'wallet_import_cancel')]);
+        return Markup.inlineKeyboard(buttons);
+    }
+
+    async confirm(ctx, isAdmin) {
+        const userId = ctx.from.id.toString();
+        const pending = sessionManager.getPendingAction(userId);
+
+        if (!this.canImport(isAdmin) || pending?.action !== 'wallet_import') {
+            await ctx.answerCbQuery('❌ Preview sudah tidak berlaku, kirim ulang file', { show_alert: true });
+            return;
+        }
+        sessionManager.clearPendingAction(userId);
+
+        // Klasifikasi ulang: daftar wallet bisa berubah sejak preview
+        const { fileName, rows } = pending.data;
+        const summary = this.classify(rows, { isAdmin, userId });
+        const result = this.walletStore.addWallets(summary.fresh, userId);
+
+        const name = ctx.from.first_name || (isAdmin ? 'Admin' : 'User');
+        auditLogger.logWalletImport(ctx.from.id, name, {
+            file: fileName,
+            role: isAdmin ? 'admin' : 'user',
+            rows: rows.length,
+            added: result.added.length,
+            duplicate: summary.duplicate.length + result.duplicate.length,
+            invalid: summary.invalid.length + result.invalid.length,
+            overLimit: summary.overLimit.length
+        });
+
+        let message = `✅ <b>Import Wallet Selesai</b>\n\n`;
+        message += `📄 File: <code>${validationHelper.escapeHtml(fileName)}</code>\n`;
+        message += `➕ Ditambahkan: ${result.added.length}\n`;
+        message += `⚠️ Duplikat: ${summary.duplicate.length + result.duplicate.length}\n`;
+        message += `❌ Tidak valid: ${summary.invalid.length + result.invalid.length}\n`;
+        if (summary.overLimit.length > 0) {
+            message += `🚫 Melebihi limit: ${summary.overLimit.length}\n`;
+        }
+        if (result.failed.length > 0) {
+            message += `\n❌ ${result.failed.length} wallet gagal disimpan (storage error), cek log bot.\n`;
+        }
+
+        await ctx.editMessageText(message, { parse_mode: 'HTML' });
+        await ctx.answerCbQuery(`✅ ${result.added.length} wallet ditambahkan`);
+    }
+
+    async cancel(ctx) {
+        sessionManager.clearPendingAction(ctx.from.id.toString());
+        await ctx.editMessageText('❌ Import wallet dibatalkan.');
+        await ctx.answerCbQuery();
+    }
+}
+
+export default new WalletImportHandler();
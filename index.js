@@ -5,7 +5,6 @@
 
 import 'dotenv/config';
 import { Telegraf, Markup } from 'telegraf';
-import fs from 'fs';
 
 // Import utilities
 import logger from './utils/logger.js';
@@ -14,6 +13,7 @@ import validationHelper from './utils/validationHelper.js';
 import userManager from './utils/userManager.js';
 import auditLogger from './utils/auditLogger.js';
 import analyticsHelper from './utils/analyticsHelper.js';
+import storage from './utils/storage.js';
 
 // Import middleware
 import sessionManager from './middleware/session.js';
@@ -21,31 +21,35 @@ import securityMiddleware from './middleware/security.js';
 import rateLimiter from './middleware/rateLimiting.js';
 
 // Import services
+import accountPool from './services/accountPool.js';
+import diamanteBreaker from './services/circuitBreaker.js';
+import transferService from './services/transferService.js';
+import batchJobStore from './services/batchJobStore.js';
+import dryRunPlanner from './services/dryRunPlanner.js';
+import faucetService from './services/faucetService.js';
+import scheduler from './services/scheduler.js';
+import tierTracker from './services/tierTracker.js';
+import transferLedger from './services/transferLedger.js';
+import transferJobManager from './services/transferJobManager.js';
+import tweetContentStore from './services/tweetContentStore.js';
 import liveChatManager from './services/liveChatManager.js';
 import broadcastQueueManager from './services/broadcastQueueManager.js';
+import responseValidator from './services/diamanteSchemas.js';
 
 // Import handlers
 import broadcastHandler from './handlers/broadcastHandler.js';
 import liveChatHandler from './handlers/liveChatHandler.js';
+import tokenRotationHandler from './handlers/tokenRotationHandler.js';
+import batchTransferHandler from './handlers/batchTransferHandler.js';
+import scheduleHandler from './handlers/scheduleHandler.js';
+import tweetContentHandler from './handlers/tweetContentHandler.js';
+import walletImportHandler from './handlers/walletImportHandler.js';
 
 // ============================================================
 // CONFIGURATION
 // ============================================================
 
-const API_BASE = 'https://campapi.diamante.io/api/v1/transaction';
-
-const DEFAULT_HEADERS = {
-  'Content-Type': 'application/json',
-  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  'Accept': 'application/json, text/plain, */*',
-  'Accept-Language': 'en-US,en;q=0.9',
-  'Origin': 'https://camp.diamante.io',
-  'Referer': 'https://camp.diamante.io/'
-};
-
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-const ACCESS_TOKEN = process.env.ACCESS_TOKEN;
-const USER_ID = process.env.USER_ID;
 const PRIMARY_ADMIN_ID = process.env.ADMIN_ID;
 
 if (!BOT_TOKEN) {
@@ -66,6 +70,25 @@ const bot = new Telegraf(BOT_TOKEN);
 // Register handlers with bot reference
 liveChatHandler.setBot(bot);
 liveChatHandler.registerHandlers(bot);
+tokenRotationHandler.setBot(bot);
+batchTransferHandler.setBot(bot);
+batchTransferHandler.setWalletSource(getWallets, getUserWallets);
+walletImportHandler.setWalletStore({ getWallets, getUserWallets, addWallets });
+scheduleHandler.setBot(bot);
+
+accountPool.setOnAuthFailure((account) => tokenRotationHandler.notifyAuthFailure(account));
+
+diamanteBreaker.setOnStateChange((state) => {
+  if (!PRIMARY_ADMIN_ID || state === 'HALF_OPEN') return;
+  
+  const message = state === 'OPEN'
+    ? `🔴 <b>Diamante API down</b>\n\nCircuit breaker terbuka, transfer dijeda sementara.`
+    : `🟢 <b>Diamante API pulih</b>\n\nCircuit breaker tertutup kembali, transfer dilanjutkan.`;
+  
+  bot.telegram.sendMessage(PRIMARY_ADMIN_ID, message, { parse_mode: 'HTML' }).catch(e => {
+    logger.warn(`Breaker notification failed: ${e.message}`);
+  });
+});
 
 // ============================================================
 // MIDDLEWARE SETUP
@@ -102,34 +125,43 @@ bot.use((ctx, next) => {
 });
 
 // ============================================================
-// DATA FILES
+// DATA KEYS (lihat utils/storage.js)
 // ============================================================
 
-const ADDITIONAL_ADMINS_FILE = 'admins.json';
-const WALLETS_FILE = 'wallets.json';
-const USER_WALLETS_FILE = 'user_wallets.json';
+const ADDITIONAL_ADMINS_KEY = 'admins';
+const WALLETS_KEY = 'wallets';
+const USER_WALLETS_KEY = 'user_wallets';
 
 // ============================================================
 // HELPER FUNCTIONS
 // ============================================================
 
-function loadJSON(file, defaultValue = []) {
+// Key yang gagal dipulihkan dikunci read-only oleh storage, jadi default di sini tidak pernah
+// tersimpan menimpa data asli (saveData ditolak)
+function loadData(key, defaultValue = []) {
   try {
-    if (fs.existsSync(file)) {
-      return JSON.parse(fs.readFileSync(file, 'utf-8'));
-    }
+    return storage.read(key, defaultValue);
   } catch (e) {
-    logger.error(`Error loading ${file}:`, e.message);
+    logger.error(`Error loading ${key}:`, e.message);
   }
   return defaultValue;
 }
 
-function saveJSON(file, data) {
-  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+// Gagal tulis (lock timeout, disk, read-only) dilaporkan lewat return value, bukan dilempar ke handler
+function saveData(key, data) {
+  try {
+    storage.write(key, data);
+    return true;
+  } catch (e) {
+    logger.error(`Error saving ${key}:`, e.message);
+    return false;
+  }
 }
 
+const STORAGE_ERROR_REPLY = '❌ Gagal menyimpan data, perubahan tidak disimpan. Cek log bot.';
+
 function getAdditionalAdmins() {
-  return loadJSON(ADDITIONAL_ADMINS_FILE, []);
+  return loadData(ADDITIONAL_ADMINS_KEY, []);
 }
 
 function isPrimaryAdmin(userId) {
@@ -147,7 +179,7 @@ function addAdmin(userId) {
   const admins = getAdditionalAdmins();
   if (!admins.includes(userId.toString())) {
     admins.push(userId.toString());
-    saveJSON(ADDITIONAL_ADMINS_FILE, admins);
+    if (!saveData(ADDITIONAL_ADMINS_KEY, admins)) return { success: false, reason: 'storage' };
     return { success: true };
   }
   return { success: false, reason: 'exists' };
@@ -159,48 +191,81 @@ function removeAdmin(userId) {
   const index = admins.indexOf(userId.toString());
   if (index > -1) {
     admins.splice(index, 1);
-    saveJSON(ADDITIONAL_ADMINS_FILE, admins);
+    if (!saveData(ADDITIONAL_ADMINS_KEY, admins)) return { success: false, reason: 'storage' };
     return { success: true };
   }
   return { success: false, reason: 'not_found' };
 }
 
 function getWallets() {
-  return loadJSON(WALLETS_FILE, []);
+  return loadData(WALLETS_KEY, []);
 }
 
 function saveWallets(wallets) {
-  saveJSON(WALLETS_FILE, wallets);
+  return saveData(WALLETS_KEY, wallets);
 }
 
 function getUserWallets() {
-  return loadJSON(USER_WALLETS_FILE, {});
+  return loadData(USER_WALLETS_KEY, {});
 }
 
 function saveUserWallets(data) {
-  saveJSON(USER_WALLETS_FILE, data);
+  return saveData(USER_WALLETS_KEY, data);
 }
 
 function addWallet(address, userId, amount = 0.001) {
+  const { added, duplicate, failed } = addWallets([{ address, amount }], userId);
+  if (added.length > 0) return { success: true };
+  if (failed.length > 0) return { success: false, reason: 'storage' };
+  return { success: false, reason: duplicate.length > 0 ? 'duplicate' : 'invalid' };
+}
+
+// Cek duplikat & format yang sama dengan addWallet, tapi sekali baca/tulis untuk banyak wallet (import)
+function addWallets(entries, userId) {
   const wallets = getWallets();
-  const normalizedAddress = address.toLowerCase();
-  
-  const exists = wallets.some(w => w.address.toLowerCase() === normalizedAddress);
-  if (exists) return { success: false, reason: 'duplicate' };
+  const known = new Set(wallets.map(w => w.address.toLowerCase()));
+  const result = { added: [], duplicate: [], invalid: [], failed: [] };
   
-  if (!validationHelper.isValidWalletAddress(address)) {
-    return { success: false, reason: 'invalid' };
+  for (const entry of entries) {
+    const normalizedAddress = entry.address.toLowerCase();
+    
+    if (known.has(normalizedAddress)) {
+      result.duplicate.push(entry);
+      continue;
+    }
+    
+    if (!validationHelper.isValidWalletAddress(entry.address)) {
+      result.invalid.push(entry);
+      continue;
+    }
+    
+    const wallet = { address: entry.address, amount: entry.amount ?? 0.001 };
+    if (entry.tags?.length > 0) wallet.tags = entry.tags;
+    
+    wallets.push(wallet);
+    known.add(normalizedAddress);
+    result.added.push(wallet);
   }
   
-  wallets.push({ address, amount });
-  saveWallets(wallets);
+  if (result.added.length === 0) return result;
+  
+  if (!saveWallets(wallets)) {
+    return { ...result, added: [], failed: result.added };
+  }
   
   const userWallets = getUserWallets();
   if (!userWallets[userId]) userWallets[userId] = [];
-  userWallets[userId].push(address);
-  saveUserWallets(userWallets);
-  
-  return { success: true };
+  userWallets[userId].push(...result.added.map(w => w.address));
+
+  // Wallet tanpa pemilik tidak muncul di filter kontributor: batalkan tambahan di wallets.json juga
+  if (!saveUserWallets(userWallets)) {
+    if (!saveWallets(wallets.filter(w => !result.added.includes(w)))) {
+      logger.error(`Rollback ${WALLETS_KEY} gagal, ${result.added.length} wallet tersimpan tanpa pemilik`);
+    }
+    return { ...result, added: [], failed: result.added };
+  }
+
+  return result;
 }
 
 function removeWallet(address) {
@@ -210,135 +275,56 @@ function removeWallet(address) {
   
   wallets = wallets.filter(w => w.address.toLowerCase() !== normalizedAddress);
   
-  if (wallets.length < initialLength) {
-    saveWallets(wallets);
-    return true;
-  }
-  return false;
-}
-
-// ============================================================
-// API FUNCTIONS
-// ============================================================
-
-async function getBalance() {
-  const response = await fetch(`${API_BASE}/get-balance/${USER_ID}`, {
-    headers: { ...DEFAULT_HEADERS, 'Cookie': `access_token=${ACCESS_TOKEN}` }
-  });
-  return response.json();
-}
-
-async function claimFaucet() {
-  const response = await fetch(`${API_BASE}/fund-wallet/${USER_ID}`, {
-    headers: { ...DEFAULT_HEADERS, 'Cookie': `access_token=${ACCESS_TOKEN}` }
-  });
-  return response.json();
+  if (wallets.length === initialLength) return { success: false, reason: 'not_found' };
+  if (!saveWallets(wallets)) return { success: false, reason: 'storage' };
+  return { success: true };
 }
 
-async function claimMysteryBox() {
-  try {
-    const response = await fetch(`https://campapi.diamante.io/api/v1/mystery/claim/${USER_ID}`, {
-      method: 'POST',
-      headers: { ...DEFAULT_HEADERS, 'Cookie': `access_token=${ACCESS_TOKEN}` }
-    });
-    
-    if (!response.ok) return { success: false, message: `API Error: ${response.status}` };
-    
-    const contentType = response.headers.get('content-type');
-    if (!contentType || !contentType.includes('application/json')) {
-      return { success: false, message: 'Invalid response format' };
-    }
-    
-    return await response.json();
-  } catch (error) {
-    return { success: false, message: error.message };
-  }
+function tagWallet(address, tags) {
+  const wallets = getWallets();
+  const wallet = wallets.find(w => w.address.toLowerCase() === address.toLowerCase());
+  if (!wallet) return { success: false, reason: 'not_found' };
+  
+  wallet.tags = [...new Set([...(wallet.tags || []), ...tags])];
+  if (!saveWallets(wallets)) return { success: false, reason: 'storage' };
+  return { success: true, tags: wallet.tags };
 }
 
-async function getTweetContent() {
-  try {
-    const response = await fetch(`https://campapi.diamante.io/api/v1/transaction/tweet-content/${USER_ID}`, {
-      headers: { ...DEFAULT_HEADERS, 'Cookie': `access_token=${ACCESS_TOKEN}` }
-    });
-    
-    if (!response.ok) return { success: false, message: `API Error: ${response.status}` };
-    
-    const contentType = response.headers.get('content-type');
-    if (!contentType || !contentType.includes('application/json')) {
-      return { success: false, message: 'Invalid response format' };
-    }
-    
-    return await response.json();
-  } catch (error) {
-    return { success: false, message: error.message };
+// Tanpa tag = hapus semua tag wallet
+function untagWallet(address, tags) {
+  const wallets = getWallets();
+  const wallet = wallets.find(w => w.address.toLowerCase() === address.toLowerCase());
+  if (!wallet) return { success: false, reason: 'not_found' };
+  
+  const remaining = tags.length > 0 ? (wallet.tags || []).filter(t => !tags.includes(t)) : [];
+  if (remaining.length > 0) {
+    wallet.tags = remaining;
+  } else {
+    delete wallet.tags;
   }
+  if (!saveWallets(wallets)) return { success: false, reason: 'storage' };
+  return { success: true, tags: remaining };
 }
 
-async function transfer(toAddress, amount) {
-  const response = await fetch(`${API_BASE}/transfer`, {
-    method: 'POST',
-    headers: { ...DEFAULT_HEADERS, 'Cookie': `access_token=${ACCESS_TOKEN}` },
-    body: JSON.stringify({ toAddress, amount, userId: USER_ID })
+// Single transfer lewat antrian global: tunggu akun bebas, posisi antrian ditampilkan di pesan status
+function queueTransfer(ctx, msg, kind, address, amount) {
+  const owner = { id: ctx.from.id, name: ctx.from.first_name };
+  
+  const { promise } = transferJobManager.enqueue({
+    kind,
+    label: `${amount} DIAM → ${address.slice(0, 10)}...`,
+    owner,
+    scope: 'one',
+    onQueued: (position) => ctx.telegram.editMessageText(ctx.chat.id, msg.message_id, null,
+      `⏳ Transfer ${amount} DIAM ke ${address.slice(0, 10)}... menunggu antrian (posisi #${position})`
+    ),
+    run: (lease) => transferService.transferFromPool(address, amount, {
+      accountFilter: lease.accountFilter,
+      context: { source: kind, triggeredBy: { type: kind === 'user' ? 'user' : 'admin', ...owner } }
+    })
   });
-  return response.json();
-}
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-function randomJitter(baseMs) {
-  return baseMs + Math.floor(Math.random() * 2000);
-}
-
-async function transferWithRetry(toAddress, amount, maxRetries = 7) {
-  let lastError = null;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const result = await transfer(toAddress, amount);
-      
-      if (result.success) {
-        analyticsHelper.trackTransfer(true, amount);
-        return { success: true, result, attempts: attempt };
-      }
-      
-      const errorMsg = result.message || '';
-      if (errorMsg.includes('Internal database error') || 
-          errorMsg.includes('timeout') || 
-          errorMsg.includes('Rate limit') || 
-          errorMsg.includes('network guardians') || 
-          errorMsg.includes('syncing')) {
-        lastError = result;
-        if (attempt < maxRetries) {
-          let delayMs;
-          if (errorMsg.includes('Rate limit')) {
-            delayMs = randomJitter(15000 * attempt);
-          } else if (errorMsg.includes('Internal database error')) {
-            delayMs = randomJitter(12000 * attempt);
-          } else if (errorMsg.includes('network guardians') || errorMsg.includes('syncing')) {
-            delayMs = randomJitter(10000 * attempt);
-          } else {
-            delayMs = randomJitter(5000 * attempt);
-          }
-          await sleep(delayMs);
-          continue;
-        }
-      }
-      
-      analyticsHelper.trackTransfer(false, amount);
-      return { success: false, result, attempts: attempt };
-    } catch (error) {
-      lastError = { message: error.message };
-      if (attempt < maxRetries) {
-        await sleep(2000 * attempt);
-        continue;
-      }
-    }
-  }
   
-  analyticsHelper.trackTransfer(false, amount);
-  return { success: false, result: lastError, attempts: maxRetries };
+  return promise;
 }
 
 // ============================================================
@@ -367,7 +353,9 @@ function getAdminMenu() {
     [Markup.button.callback('⚡ Single Transfer', 'single_transfer'), Markup.button.callback('🚀 Batch Transfer', 'transfer')],
     [Markup.button.callback('📢 Broadcast', 'broadcast'), Markup.button.callback('💬 Live Chat', 'livechat_menu')],
     [Markup.button.callback('📋 Lihat Wallets', 'wallets'), Markup.button.callback('👥 Lihat Admin', 'admins')],
-    [Markup.button.callback('📈 Analytics', 'analytics')],
+    [Markup.button.callback('📈 Analytics', 'analytics'), Markup.button.callback('👛 Akun Diamante', 'accounts')],
+    [Markup.button.callback('⏰ Jadwal', 'schedules'), Markup.button.callback('🧾 Antrian Transfer', 'transfer_jobs')],
+    [Markup.button.callback('📝 Tweet Content', 'tweet_content')],
     [Markup.button.callback('« Kembali', 'main_menu')]
   ]);
 }
@@ -476,11 +464,16 @@ bot.action('help', (ctx) => {
 });
 
 bot.action('user_transfer', (ctx) => {
-  if (!ACCESS_TOKEN || !USER_ID) {
+  if (!accountPool.hasAccounts()) {
     ctx.answerCbQuery('❌ Fitur belum tersedia');
     return;
   }
   
+  if (diamanteBreaker.isOpen()) {
+    ctx.answerCbQuery(errorHandler.getUserFriendlyMessage('CIRCUIT_OPEN'), { show_alert: true });
+    return;
+  }
+  
   const userId = ctx.from.id;
   sessionManager.setState(userId, 'waiting_user_transfer');
   
@@ -519,7 +512,7 @@ bot.action('single_transfer', (ctx) => {
     return;
   }
   
-  if (!ACCESS_TOKEN || !USER_ID) {
+  if (!accountPool.hasAccounts()) {
     ctx.answerCbQuery('❌ Token belum dikonfigurasi');
     return;
   }
@@ -546,7 +539,7 @@ bot.action('balance', async (ctx) => {
     return;
   }
   
-  if (!ACCESS_TOKEN || !USER_ID) {
+  if (!accountPool.hasAccounts()) {
     ctx.answerCbQuery('❌ Token belum dikonfigurasi');
     return;
   }
@@ -554,16 +547,31 @@ bot.action('balance', async (ctx) => {
   ctx.answerCbQuery('🔍 Mengambil balance...');
   
   try {
-    const result = await getBalance();
+    let message = `💎 *WALLET BALANCE*\n`;
     
-    let message;
-    if (result.success) {
-      message = `💎 *WALLET BALANCE*\n\n` +
-        `📫 Address: \`${result.data.address}\`\n` +
-        `💰 Balance: *${result.data.balance} DIAM*\n` +
-        `🟢 Status: Active`;
-    } else {
-      message = `❌ Gagal mengambil balance: ${result.message || 'Unknown error'}`;
+    for (const account of accountPool.getUsableAccounts()) {
+      message += `\n👛 *${account.label}*\n`;
+      
+      let result;
+      try {
+        result = await accountPool.getClient(account).getBalance();
+      } catch (error) {
+        if (error.category !== 'AUTH') throw error;
+        accountPool.markAuthFailed(account.id);
+        message += `🔑 Token expired\n`;
+        continue;
+      }
+      
+      if (result.success) {
+        account.balance = parseFloat(result.data.balance);
+        account.balanceCheckedAt = Date.now();
+        message += `📫 Address: \`${result.data.address}\`\n` +
+          `💰 Balance: *${result.data.balance} DIAM*\n` +
+          `🟢 Status: Active\n` +
+          tierTracker.describe(account);
+      } else {
+        message += `❌ Gagal mengambil balance: ${result.message || 'Unknown error'}\n`;
+      }
     }
     
     ctx.editMessageText(message, {
@@ -581,7 +589,7 @@ bot.action('faucet', async (ctx) => {
     return;
   }
   
-  if (!ACCESS_TOKEN || !USER_ID) {
+  if (!accountPool.hasAccounts()) {
     ctx.answerCbQuery('❌ Token belum dikonfigurasi');
     return;
   }
@@ -589,18 +597,8 @@ bot.action('faucet', async (ctx) => {
   ctx.answerCbQuery('🚰 Claiming faucet...');
   
   try {
-    const result = await claimFaucet();
-    
-    let message;
-    if (result.success) {
-      message = `✅ *FAUCET CLAIMED!*\n\n🎉 Token berhasil di-claim!`;
-    } else {
-      message = `⏳ Faucet masih cooldown.`;
-      if (result.data?.nextEligibleAt) {
-        const nextClaim = new Date(result.data.nextEligibleAt);
-        message += `\n\n⏰ Next claim: ${nextClaim.toLocaleString('id-ID')}`;
-      }
-    }
+    const results = await faucetService.claimAll();
+    const message = `🚰 *FAUCET*\n` + faucetService.formatResults(results);
     
     ctx.editMessageText(message, {
       parse_mode: 'Markdown',
@@ -667,6 +665,98 @@ bot.action('admins', (ctx) => {
   ctx.answerCbQuery();
 });
 
+// ============================================================
+// BOT HANDLERS - ACCOUNT POOL
+// ============================================================
+
+function formatBreakerState() {
+  const breaker = diamanteBreaker.getStats();
+  const icons = { CLOSED: '🟢', HALF_OPEN: '🟡', OPEN: '🔴' };
+  
+  let line = `🔌 API Breaker: ${icons[breaker.state]} <b>${breaker.state}</b>`;
+  if (breaker.state === 'OPEN') {
+    line += ` (probe dalam ${Math.ceil(breaker.remainingMs / 1000)}s)`;
+  } else {
+    line += ` (${breaker.consecutiveFailures}/${breaker.failureThreshold} gagal)`;
+  }
+  return line;
+}
+
+function getAccountsView() {
+  const stats = accountPool.getStats();
+  const strategies = accountPool.getStrategies();
+  
+  let message = `👛 <b>Akun Diamante (${stats.length})</b>\n\n`;
+  message += `🎯 Strategi: <b>${strategies[accountPool.strategy]}</b>\n`;
+  message += `${formatBreakerState()}\n\n`;
+  
+  if (stats.length === 0) {
+    message += `📭 Belum ada akun. Gunakan /addaccount.`;
+  }
+  
+  stats.forEach((a, i) => {
+    message += `${i + 1}. <b>${a.label}</b> <code>${a.id}</code>${a.enabled ? '' : ' (nonaktif)'}${a.authExpired ? ' 🔑 expired' : ''}\n`;
+    message += `   ✅ ${a.success} | ❌ ${a.failed} | 📈 ${a.successRate}`;
+    if (a.balance !== null) message += ` | 💰 ${a.balance}`;
+    message += `\n`;
+  });
+  
+  const strategyButtons = Object.entries(strategies).map(([key, label]) =>
+    Markup.button.callback(`${key === accountPool.strategy ? '✅ ' : ''}${label}`, `account_strategy_${key}`)
+  );
+  
+  return {
+    message,
+    keyboard: Markup.inlineKeyboard([
+      strategyButtons.slice(0, 2),
+      strategyButtons.slice(2),
+      [Markup.button.callback('🔄 Refresh', 'accounts')],
+      [Markup.button.callback('« Kembali', 'admin_menu')]
+    ])
+  };
+}
+
+bot.action('accounts', async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  const { message, keyboard } = getAccountsView();
+  
+  try {
+    await ctx.editMessageText(message, { parse_mode: 'HTML', ...keyboard });
+  } catch (e) {}
+  ctx.answerCbQuery();
+});
+
+bot.action(/^account_strategy_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  if (!accountPool.setStrategy(ctx.match[1])) {
+    ctx.answerCbQuery('❌ Strategi tidak dikenal');
+    return;
+  }
+  
+  const { message, keyboard } = getAccountsView();
+  
+  try {
+    await ctx.editMessageText(message, { parse_mode: 'HTML', ...keyboard });
+  } catch (e) {}
+  ctx.answerCbQuery('✅ Strategi diubah');
+});
+
+bot.action('token_rotate_cancel', async (ctx) => {
+  await tokenRotationHandler.cancel(ctx);
+});
+
+bot.action(/^token_rotate_(.+)$/, async (ctx) => {
+  await tokenRotationHandler.promptToken(ctx, ctx.match[1]);
+});
+
 // ============================================================
 // BOT HANDLERS - ANALYTICS
 // ============================================================
@@ -681,6 +771,7 @@ bot.action('analytics', async (ctx) => {
   const broadcastStats = analyticsHelper.getBroadcastStats();
   const userStats = analyticsHelper.getUserStats();
   const auditStats = auditLogger.getStats();
+  const schemaStats = responseValidator.getStats();
   
   let message = `📈 <b>Analytics Dashboard</b>\n\n`;
   
@@ -689,7 +780,8 @@ bot.action('analytics', async (ctx) => {
   message += `• Success: ${transferStats.success}\n`;
   message += `• Failed: ${transferStats.failed}\n`;
   message += `• Rate: ${transferStats.successRate}\n`;
-  message += `• Mystery XP: ${transferStats.mysteryXP}\n\n`;
+  message += `• Mystery XP: ${transferStats.mysteryXP}\n`;
+  message += `• Mystery Claims: ${analyticsHelper.getMysteryStats().totalClaims}\n\n`;
   
   message += `<b>📢 Broadcast Stats:</b>\n`;
   message += `• Total: ${broadcastStats.total}\n`;
@@ -697,182 +789,407 @@ bot.action('analytics', async (ctx) => {
   message += `• Failed: ${broadcastStats.totalFailed}\n`;
   message += `• Delivery: ${broadcastStats.deliveryRate}\n\n`;
   
-  message += `<b>👥 User Stats:</b>\n`;
-  message += `• Commands: ${userStats.totalCommands}\n`;
-  message += `• Today: ${userStats.uniqueUsersToday}\n\n`;
+  message += `<b>👥 User Stats:</b>\n`;
+  message += `• Commands: ${userStats.totalCommands}\n`;
+  message += `• Today: ${userStats.uniqueUsersToday}\n\n`;
+  
+  message += `<b>📝 Audit (24h):</b>\n`;
+  message += `• Actions: ${auditStats.last24hCount}\n`;
+  message += `• Admins: ${auditStats.uniqueAdmins}\n\n`;
+  
+  message += `<b>🏆 Campaign Tier:</b>\n`;
+  for (const account of accountPool.getAccounts()) {
+    const count = tierTracker.getCount(account);
+    const current = tierTracker.getCurrentTier(count);
+    const next = tierTracker.getNextTier(count);
+    message += `• ${account.label}: ${count} tx ${current ? current.emoji : ''}`;
+    message += next ? ` → ${next.emoji} ${next.txns - count} lagi\n` : ` ✅\n`;
+  }
+  message += `\n`;
+  
+  message += `<b>🔌 Diamante API:</b>\n`;
+  message += `• ${formatBreakerState()}\n`;
+  message += `• Opened: ${diamanteBreaker.getStats().timesOpened}x\n\n`;
+  
+  message += `<b>🧩 API Schema:</b>\n`;
+  message += `• Mismatch: ${schemaStats.total}`;
+  if (schemaStats.lastMismatch) {
+    const last = schemaStats.lastMismatch;
+    message += `\n• Last: ${last.endpoint} (${new Date(last.at).toLocaleTimeString('id-ID')})`;
+  }
+  
+  await ctx.editMessageText(message, {
+    parse_mode: 'HTML',
+    ...Markup.inlineKeyboard([
+      [Markup.button.callback('🎁 Mystery Breakdown', 'analytics_mystery')],
+      [Markup.button.callback('🔄 Refresh', 'analytics')],
+      [Markup.button.callback('« Kembali', 'admin_menu')]
+    ])
+  });
+  ctx.answerCbQuery();
+});
+
+bot.action('analytics_mystery', async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+
+  const stats = analyticsHelper.getMysteryStats(7);
+  const formatBucket = (bucket) => Object.entries(bucket)
+    .map(([type, { count, total }]) => `${total} ${type} (${count}x)`)
+    .join(', ');
+
+  let message = `🎁 <b>Mystery Reward Breakdown</b>\n\n`;
+  message += `• Total claim: ${stats.totalClaims}\n`;
+  if (stats.lastClaim) {
+    message += `• Terakhir: ${new Date(stats.lastClaim).toLocaleString('id-ID')}\n`;
+  }
+
+  message += `\n<b>Per tipe reward:</b>\n`;
+  const types = Object.entries(stats.byType);
+  if (types.length === 0) {
+    message += `• Belum ada reward\n`;
+  }
+  for (const [type, { count, total }] of types) {
+    const average = count > 0 ? (total / count).toFixed(1) : 0;
+    message += `• ${type}: ${total} (${count}x, rata-rata ${average})\n`;
+  }
+
+  message += `\n<b>7 hari terakhir:</b>\n`;
+  if (stats.daily.length === 0) {
+    message += `• Belum ada data\n`;
+  }
+  for (const day of stats.daily.slice().reverse()) {
+    message += `• ${day.date}: ${formatBucket(day.byType)}\n`;
+  }
+
+  message += `\n<i>Detail per transfer ada di /ledger (kolom mysteryReward)</i>`;
+
+  await ctx.editMessageText(message, {
+    parse_mode: 'HTML',
+    ...Markup.inlineKeyboard([
+      [Markup.button.callback('🔄 Refresh', 'analytics_mystery')],
+      [Markup.button.callback('« Kembali', 'analytics')]
+    ])
+  });
+  ctx.answerCbQuery();
+});
+
+// ============================================================
+// BOT HANDLERS - BATCH TRANSFER
+// ============================================================
+
+bot.action('transfer', async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  if (!accountPool.hasAccounts()) {
+    ctx.answerCbQuery('❌ Token belum dikonfigurasi');
+    return;
+  }
+  
+  // Kembali dari input amount: batalkan state input tanpa menghapus opsi batch
+  if (sessionManager.getState(ctx.from.id) === 'waiting_batch_amount') {
+    sessionManager.setState(ctx.from.id, null);
+  }
+  
+  await batchTransferHandler.showSetup(ctx);
+  ctx.answerCbQuery();
+});
+
+bot.action('transfer_jobs', async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  await batchTransferHandler.showQueue(ctx);
+  ctx.answerCbQuery();
+});
+
+bot.action(/^tjob_cancel_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  await batchTransferHandler.cancelQueueEntry(ctx, ctx.match[1]);
+});
+
+bot.action('tweet_content', async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  await tweetContentHandler.show(ctx);
+  ctx.answerCbQuery();
+});
+
+bot.action(/^tweet_posted_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  await tweetContentHandler.markPosted(ctx, ctx.match[1]);
+});
+
+bot.action('batch_amount', async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  await batchTransferHandler.showAmountOptions(ctx);
+  ctx.answerCbQuery();
+});
+
+bot.action(/^batch_amount_(\w+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  await batchTransferHandler.chooseAmountType(ctx, ctx.match[1]);
+});
+
+bot.action(/^batch_concurrency_(\d+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  await batchTransferHandler.setConcurrency(ctx, parseInt(ctx.match[1], 10));
+});
+
+bot.action('batch_dryrun_toggle', async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  await batchTransferHandler.toggleDryRun(ctx);
+});
+
+bot.action('batch_tier_cycle', async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  await batchTransferHandler.cycleTargetTier(ctx);
+});
+
+bot.action('batch_filter', async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  await batchTransferHandler.showFilter(ctx);
+  ctx.answerCbQuery();
+});
+
+bot.action('batch_filter_all', async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  await batchTransferHandler.clearFilter(ctx);
+});
+
+bot.action(/^batch_group_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  await batchTransferHandler.toggleGroup(ctx, ctx.match[1]);
+});
+
+bot.action(/^batch_contrib_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  await batchTransferHandler.selectContributor(ctx, ctx.match[1]);
+});
+
+bot.action('batch_history', async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  await batchTransferHandler.showHistory(ctx);
+  ctx.answerCbQuery();
+});
+
+bot.action(/^batch_report_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  await batchTransferHandler.downloadReport(ctx, ctx.match[1]);
+});
+
+bot.action('batch_start', async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  if (!accountPool.hasAccounts()) {
+    ctx.answerCbQuery('❌ Token belum dikonfigurasi');
+    return;
+  }
+  
+  await batchTransferHandler.start(ctx);
+});
+
+bot.action(/^batch_ctl_(pause|resume|cancel)_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  await batchTransferHandler.control(ctx, ctx.match[1], ctx.match[2]);
+});
+
+bot.action(/^batch_preflight_(trim|faucet|abort|force)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  await batchTransferHandler.preflightAction(ctx, ctx.match[1]);
+});
+
+bot.action(/^batch_retry_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
+  
+  if (!accountPool.hasAccounts()) {
+    ctx.answerCbQuery('❌ Token belum dikonfigurasi');
+    return;
+  }
+  
+  await batchTransferHandler.retryFailed(ctx, ctx.match[1]);
+});
+
+bot.action(/^batch_resume_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
   
-  message += `<b>📝 Audit (24h):</b>\n`;
-  message += `• Actions: ${auditStats.last24hCount}\n`;
-  message += `• Admins: ${auditStats.uniqueAdmins}`;
+  await batchTransferHandler.resume(ctx, ctx.match[1]);
+});
+
+bot.action(/^batch_discard_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
   
-  await ctx.editMessageText(message, {
-    parse_mode: 'HTML',
-    ...Markup.inlineKeyboard([
-      [Markup.button.callback('🔄 Refresh', 'analytics')],
-      [Markup.button.callback('« Kembali', 'admin_menu')]
-    ])
-  });
-  ctx.answerCbQuery();
+  await batchTransferHandler.discard(ctx, ctx.match[1]);
 });
 
 // ============================================================
-// BOT HANDLERS - BATCH TRANSFER
+// BOT HANDLERS - SCHEDULES
 // ============================================================
 
-bot.action('transfer', async (ctx) => {
+bot.action('schedules', async (ctx) => {
   if (!isAdmin(ctx.from.id)) {
     ctx.answerCbQuery('🔒 Akses ditolak');
     return;
   }
   
-  if (!ACCESS_TOKEN || !USER_ID) {
-    ctx.answerCbQuery('❌ Token belum dikonfigurasi');
+  sessionManager.clearState(ctx.from.id);
+  await scheduleHandler.showList(ctx);
+  ctx.answerCbQuery();
+});
+
+bot.action('schedule_add', async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
     return;
   }
   
-  const walletsRaw = getWallets();
-  
-  if (walletsRaw.length === 0) {
-    await ctx.editMessageText('📭 Tidak ada wallet di daftar.', {
-      ...Markup.inlineKeyboard([[Markup.button.callback('« Kembali', 'admin_menu')]])
-    });
-    ctx.answerCbQuery();
+  await scheduleHandler.startAdd(ctx);
+});
+
+bot.action(/^schedule_task_(batch|faucet)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
     return;
   }
   
-  const validation = validationHelper.validateWallets(walletsRaw);
-  const wallets = validation.valid;
-  
-  if (validation.invalid.length > 0) {
-    logger.warn(`Found ${validation.invalid.length} invalid wallets`);
-    const invalidMsg = `⚠️ <b>Ditemukan wallet tidak valid:</b>\n${validation.invalid.slice(0, 5).map(i => i.errors.join(', ')).join('\n')}`;
-    await ctx.editMessageText(invalidMsg + `\n\n✅ Melanjutkan dengan ${wallets.length} wallet valid...`, {
-      parse_mode: 'HTML',
-      ...Markup.inlineKeyboard([[Markup.button.callback('« Kembali', 'admin_menu')]])
-    });
-    await sleep(2000);
+  await scheduleHandler.chooseTask(ctx, ctx.match[1]);
+});
+
+bot.action(/^schedule_type_(daily|interval|cron)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
   }
   
-  if (wallets.length === 0) {
-    await ctx.editMessageText('❌ Semua wallet tidak valid.', {
-      ...Markup.inlineKeyboard([[Markup.button.callback('« Kembali', 'admin_menu')]])
-    });
-    ctx.answerCbQuery();
+  await scheduleHandler.chooseType(ctx, ctx.match[1]);
+});
+
+bot.action(/^schedule_view_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
     return;
   }
   
-  try {
-    await ctx.answerCbQuery('✅ Memulai batch transfer...', { show_alert: true });
-  } catch (e) {}
-  
-  const statusMsg = await ctx.editMessageText(
-    `🔄 <b>Mempersiapkan batch transfer...</b>\n\n📊 Wallet: ${wallets.length}`,
-    { parse_mode: 'HTML' }
-  );
-  
-  const adminName = ctx.from.first_name;
-  const adminId = ctx.from.id;
-  
-  logger.batch(`Starting batch transfer`, { total: wallets.length });
-  
-  let success = 0;
-  let failed = 0;
-  let totalMysteryXP = 0;
-  let mysteryCount = 0;
-  let lastUpdateIdx = 0;
-  const delay = 3000;
-  const failedWallets = [];
-  
-  for (let i = 0; i < wallets.length; i++) {
-    const wallet = wallets[i];
-    
-    try {
-      const { success: isSuccess, result, attempts } = await transferWithRetry(wallet.address, wallet.amount);
-      
-      if (isSuccess) {
-        success++;
-        if (attempts > 1) {
-          logger.transfer(i + 1, wallets.length, 'success', `(${attempts} attempts)`);
-        }
-        
-        try {
-          const mysteryResult = await claimMysteryBox();
-          if (mysteryResult.success && mysteryResult.data?.mysteryReward) {
-            totalMysteryXP += mysteryResult.data.mysteryReward;
-            mysteryCount++;
-          }
-          await getTweetContent();
-        } catch (e) {}
-      } else {
-        failed++;
-        failedWallets.push({
-          idx: i + 1,
-          address: wallet.address.slice(0, 10) + '...',
-          error: result?.message || 'Unknown error'
-        });
-        logger.transfer(i + 1, wallets.length, 'failed', result?.message || 'Unknown error');
-      }
-    } catch (error) {
-      failed++;
-      failedWallets.push({
-        idx: i + 1,
-        address: wallet.address.slice(0, 10) + '...',
-        error: error.message
-      });
-      logger.transfer(i + 1, wallets.length, 'failed', error.message);
-    }
-    
-    if ((i + 1) % 10 === 0 && i !== lastUpdateIdx) {
-      const progressMsg = 
-        `🚀 <b>Batch Transfer Progress</b>\n\n` +
-        `📊 Progress: ${i + 1}/${wallets.length}\n` +
-        `✅ Success: ${success}\n` +
-        `❌ Failed: ${failed}\n` +
-        `📈 Rate: ${((success / (i + 1)) * 100).toFixed(1)}%`;
-      
-      try {
-        await ctx.editMessageText(progressMsg, { parse_mode: 'HTML' });
-        lastUpdateIdx = i;
-      } catch (e) {
-        if (!e.message?.includes('message is not modified')) {
-          logger.warn(`Progress update error: ${e.message}`);
-        }
-      }
-    }
-    
-    if (i < wallets.length - 1) {
-      await sleep(delay);
-    }
+  sessionManager.clearState(ctx.from.id);
+  await scheduleHandler.view(ctx, ctx.match[1]);
+});
+
+bot.action(/^schedule_toggle_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
   }
   
-  const successRate = ((success / wallets.length) * 100).toFixed(1);
-  
-  let finalMessage = `📊 <b>TRANSFER SUMMARY</b>\n\n`;
-  finalMessage += `💼 Total Wallet: ${wallets.length}\n`;
-  finalMessage += `✅ Success: ${success}\n`;
-  finalMessage += `❌ Failed: ${failed}\n`;
-  finalMessage += `📈 Success Rate: <b>${successRate}%</b>\n`;
-  
-  if (totalMysteryXP > 0) {
-    finalMessage += `\n🎁 Mystery Rewards: ${totalMysteryXP} XP (${mysteryCount}x)\n`;
+  await scheduleHandler.toggle(ctx, ctx.match[1]);
+});
+
+bot.action(/^schedule_edit_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
   }
   
-  finalMessage += `\n⏰ Completed: ${new Date().toLocaleTimeString('id-ID')}`;
-  
-  await ctx.editMessageText(finalMessage, {
-    parse_mode: 'HTML',
-    ...Markup.inlineKeyboard([[Markup.button.callback('« Kembali', 'admin_menu')]])
-  });
+  await scheduleHandler.startEdit(ctx, ctx.match[1]);
+});
+
+bot.action(/^schedule_delete_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
   
-  // Log to audit
-  auditLogger.logTransfer(adminId, adminName, {
-    total: wallets.length,
-    success,
-    failed,
-    mysteryXP: totalMysteryXP
-  });
+  await scheduleHandler.confirmDelete(ctx, ctx.match[1]);
+});
+
+bot.action(/^schedule_remove_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    ctx.answerCbQuery('🔒 Akses ditolak');
+    return;
+  }
   
-  logger.batch('Completed', { success, failed, total: wallets.length });
+  await scheduleHandler.remove(ctx, ctx.match[1]);
 });
 
 // ============================================================
@@ -967,6 +1284,24 @@ bot.on('text', async (ctx) => {
   // Track command
   analyticsHelper.trackCommand(userId, 'text_message');
   
+  // Handle rotated access token input
+  if (state === 'waiting_account_token') {
+    const handled = await tokenRotationHandler.handleTokenInput(ctx);
+    if (handled) return;
+  }
+  
+  // Handle batch amount strategy input
+  if (state === 'waiting_batch_amount' && isAdmin(userId)) {
+    const handled = await batchTransferHandler.handleAmountInput(ctx);
+    if (handled) return;
+  }
+  
+  // Handle schedule time input
+  if (state === 'waiting_schedule_spec' && isAdmin(userId)) {
+    const handled = await scheduleHandler.handleSpecInput(ctx);
+    if (handled) return;
+  }
+  
   // Handle broadcast message input
   if (state === 'waiting_broadcast_message' && isAdmin(userId)) {
     const handled = await broadcastHandler.handleBroadcastMessage(ctx);
@@ -1012,6 +1347,11 @@ bot.on('text', async (ctx) => {
         '⚠️ Wallet sudah ada di daftar!',
         Markup.inlineKeyboard([[Markup.button.callback('« Kembali', 'main_menu')]])
       );
+    } else if (result.reason === 'storage') {
+      ctx.reply(
+        STORAGE_ERROR_REPLY,
+        Markup.inlineKeyboard([[Markup.button.callback('« Kembali', 'main_menu')]])
+      );
     } else {
       ctx.reply(
         '❌ Gagal menambahkan wallet.',
@@ -1054,18 +1394,31 @@ bot.on('text', async (ctx) => {
     
     sessionManager.clearState(userId);
     
+    if (diamanteBreaker.isOpen()) {
+      return ctx.reply(
+        errorHandler.getUserFriendlyMessage('CIRCUIT_OPEN'),
+        Markup.inlineKeyboard([[Markup.button.callback('« Kembali', 'admin_menu')]])
+      );
+    }
+    
     const msg = await ctx.reply(`⚡ Memproses transfer ${amount} DIAM ke ${address.slice(0, 10)}...`);
     
     try {
-      const { success, result, attempts } = await transferWithRetry(address, amount);
+      const outcome = await queueTransfer(ctx, msg, 'single', address, amount);
+      if (outcome.cancelled) {
+        await ctx.telegram.editMessageText(ctx.chat.id, msg.message_id, null, '⏹️ Transfer dibatalkan dari antrian.');
+        return;
+      }
+      const { success, result, attempts, trace, account } = outcome;
       
       if (success) {
-        const hash = result.data?.transferData?.hash || 'N/A';
+        const hash = result.data.transferData.hash;
         let message = `✅ *TRANSFER BERHASIL!*\n\n`;
         message += `📫 To: \`${address}\`\n`;
         message += `💰 Amount: ${amount} DIAM\n`;
         message += `🔗 Hash: \`${hash}\`\n`;
-        if (attempts > 1) message += `🔄 Attempts: ${attempts}`;
+        message += `👛 From: ${account.label}\n`;
+        if (attempts > 1) message += `🔄 Attempts: ${attempts}\n` + transferService.formatRetryTrace(trace);
         
         await ctx.telegram.editMessageText(ctx.chat.id, msg.message_id, null, message, {
           parse_mode: 'Markdown',
@@ -1073,15 +1426,15 @@ bot.on('text', async (ctx) => {
         });
         
         try {
-          const mysteryResult = await claimMysteryBox();
-          if (mysteryResult.success && mysteryResult.data?.mysteryReward) {
+          const mysteryResult = await transferService.claimMystery(outcome);
+          if (mysteryResult.success && mysteryResult.data.mysteryReward) {
             ctx.reply(`🎁 Mystery Box: +${mysteryResult.data.mysteryReward} ${mysteryResult.data.rewardType || 'XP'}`);
           }
         } catch (e) {}
       } else {
         const errorMsg = result?.message || 'Unknown error';
         await ctx.telegram.editMessageText(ctx.chat.id, msg.message_id, null,
-          `❌ Transfer gagal setelah ${attempts}x percobaan.\n\nError: ${errorMsg}`,
+          `❌ Transfer gagal setelah ${attempts}x percobaan.\n\nError: ${errorMsg}\n\n` + transferService.formatRetryTrace(trace),
           Markup.inlineKeyboard([[Markup.button.callback('« Kembali', 'admin_menu')]])
         );
       }
@@ -1108,13 +1461,25 @@ bot.on('text', async (ctx) => {
     const amount = 0.01;
     sessionManager.clearState(userId);
     
+    if (diamanteBreaker.isOpen()) {
+      return ctx.reply(
+        errorHandler.getUserFriendlyMessage('CIRCUIT_OPEN'),
+        Markup.inlineKeyboard([[Markup.button.callback('« Kembali', 'main_menu')]])
+      );
+    }
+    
     const msg = await ctx.reply(`⚡ Memproses transfer ${amount} DIAM ke ${address.slice(0, 10)}...`);
     
     try {
-      const { success, result, attempts } = await transferWithRetry(address, amount);
+      const outcome = await queueTransfer(ctx, msg, 'user', address, amount);
+      if (outcome.cancelled) {
+        await ctx.telegram.editMessageText(ctx.chat.id, msg.message_id, null, '⏹️ Transfer dibatalkan dari antrian.');
+        return;
+      }
+      const { success, result, attempts } = outcome;
       
       if (success) {
-        const hash = result.data?.transferData?.hash || 'N/A';
+        const hash = result.data.transferData.hash;
         let message = `✅ *TRANSFER BERHASIL!*\n\n`;
         message += `📫 To: \`${address}\`\n`;
         message += `💰 Amount: ${amount} DIAM\n`;
@@ -1127,8 +1492,8 @@ bot.on('text', async (ctx) => {
         });
         
         try {
-          const mysteryResult = await claimMysteryBox();
-          if (mysteryResult.success && mysteryResult.data?.mysteryReward) {
+          const mysteryResult = await transferService.claimMystery(outcome);
+          if (mysteryResult.success && mysteryResult.data.mysteryReward) {
             ctx.reply(`🎁 Mystery Box: +${mysteryResult.data.mysteryReward} ${mysteryResult.data.rewardType || 'XP'}`);
           }
         } catch (e) {}
@@ -1166,18 +1531,29 @@ bot.command('help', (ctx) => {
   message += `/start - Menu utama\n`;
   message += `/help - Bantuan\n`;
   message += `/mywallets - Lihat wallet kamu\n`;
+  if (walletImportHandler.canImport(isUserAdmin)) {
+    message += `/importwallets - Import wallet dari file\n`;
+  }
   
   if (isUserAdmin) {
     message += `\n*Admin Commands:*\n`;
     message += `/balance - Cek balance\n`;
     message += `/faucet - Claim faucet\n`;
     message += `/transfer - Batch transfer\n`;
-    message += `/single <addr> <amt> - Single transfer\n`;
+    message += `/single <addr> <amt> [--dry-run] - Single transfer\n`;
     message += `/addwallet <addr> - Tambah wallet\n`;
+    message += `/importwallets - Import wallet dari file .txt/.csv/.json\n`;
     message += `/removewallet <addr> - Hapus wallet\n`;
+    message += `/tag <addr> <grup...> - Tambah wallet ke grup\n`;
+    message += `/untag <addr> [grup...] - Hapus wallet dari grup\n`;
     message += `/addadmin <id> - Tambah admin\n`;
     message += `/removeadmin <id> - Hapus admin\n`;
     message += `/admins - Lihat daftar admin\n`;
+    message += `/accounts - Lihat akun Diamante\n`;
+    message += `/addaccount <user_id> <token> [label] - Tambah akun\n`;
+    message += `/removeaccount <id> - Hapus akun\n`;
+    message += `/rotatetoken [id] - Ganti token akun\n`;
+    message += `/ledger [csv|json] [dari] [sampai] [addr] - Export ledger transfer\n`;
     message += `/endchat - Akhiri live chat\n`;
   }
   
@@ -1227,7 +1603,85 @@ bot.command('addwallet', (ctx) => {
     ctx.reply('⚠️ Wallet sudah ada di daftar!');
   } else if (result.reason === 'invalid') {
     ctx.reply('❌ Format address tidak valid!');
+  } else if (result.reason === 'storage') {
+    ctx.reply(STORAGE_ERROR_REPLY);
+  }
+});
+
+bot.command('importwallets', (ctx) => {
+  const isUserAdmin = isAdmin(ctx.from.id);
+  if (!walletImportHandler.canImport(isUserAdmin)) {
+    return ctx.reply('🔒 Import wallet dari file hanya untuk admin.');
+  }
+  
+  ctx.reply(walletImportHandler.getHelp(isUserAdmin), { parse_mode: 'HTML' });
+});
+
+bot.on('document', async (ctx) => {
+  try {
+    await walletImportHandler.handleDocument(ctx, isAdmin(ctx.from.id));
+  } catch (error) {
+    logger.error('Wallet import error:', error.message);
+    ctx.reply('❌ Gagal memproses file.');
+  }
+});
+
+bot.action('wallet_import_confirm', async (ctx) => {
+  await walletImportHandler.confirm(ctx, isAdmin(ctx.from.id));
+});
+
+bot.action('wallet_import_cancel', async (ctx) => {
+  await walletImportHandler.cancel(ctx);
+});
+
+bot.command('tag', (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    return ctx.reply('🔒 Perintah ini hanya untuk admin.');
+  }
+  
+  const args = ctx.message.text.split(/\s+/).slice(1).filter(Boolean);
+  
+  if (args.length < 2) {
+    const groups = batchTransferHandler.getGroups();
+    const list = groups.length > 0
+      ? groups.map(g => `• ${g.tag} (${g.count} wallet)`).join('\n')
+      : 'Belum ada grup.';
+    return ctx.reply(`❌ Format: /tag <address> <grup...>\nContoh: /tag 0x1234...abcd team vip\n\n🏷️ Grup saat ini:\n${list}`);
+  }
+  
+  const { tags, invalid } = validationHelper.parseTags(args.slice(1));
+  if (invalid.length > 0) {
+    return ctx.reply(`❌ Nama grup tidak valid: ${invalid.join(', ')}\nGunakan huruf kecil, angka, - atau _ (maks 20 karakter).`);
+  }
+  
+  const result = tagWallet(args[0], tags);
+  if (!result.success) {
+    return ctx.reply(result.reason === 'storage' ? STORAGE_ERROR_REPLY : '❌ Wallet tidak ada di daftar!');
+  }
+  
+  auditLogger.logWalletTag(ctx.from.id, ctx.from.first_name, args[0], { added: tags });
+  ctx.reply(`🏷️ Tag wallet diperbarui!\n\n📫 ${args[0]}\n🏷️ ${result.tags.join(', ')}`);
+});
+
+bot.command('untag', (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    return ctx.reply('🔒 Perintah ini hanya untuk admin.');
+  }
+  
+  const args = ctx.message.text.split(/\s+/).slice(1).filter(Boolean);
+  
+  if (args.length === 0) {
+    return ctx.reply('❌ Format: /untag <address> [grup...]\nTanpa grup = hapus semua tag wallet.');
+  }
+  
+  const { tags } = validationHelper.parseTags(args.slice(1));
+  const result = untagWallet(args[0], tags);
+  if (!result.success) {
+    return ctx.reply(result.reason === 'storage' ? STORAGE_ERROR_REPLY : '❌ Wallet tidak ada di daftar!');
   }
+  
+  auditLogger.logWalletTag(ctx.from.id, ctx.from.first_name, args[0], { removed: tags.length > 0 ? tags : 'all' });
+  ctx.reply(`🏷️ Tag wallet diperbarui!\n\n📫 ${args[0]}\n🏷️ ${result.tags.length > 0 ? result.tags.join(', ') : '(tanpa tag)'}`);
 });
 
 bot.command('removewallet', (ctx) => {
@@ -1243,9 +1697,13 @@ bot.command('removewallet', (ctx) => {
   
   const address = args[0];
   
-  if (removeWallet(address)) {
+  const result = removeWallet(address);
+  
+  if (result.success) {
     auditLogger.logWalletRemove(ctx.from.id, ctx.from.first_name, address);
     ctx.reply(`✅ Wallet dihapus!\n\n📫 \`${address}\``, { parse_mode: 'Markdown' });
+  } else if (result.reason === 'storage') {
+    ctx.reply(STORAGE_ERROR_REPLY);
   } else {
     ctx.reply('❌ Wallet tidak ditemukan.');
   }
@@ -1256,14 +1714,16 @@ bot.command('single', async (ctx) => {
     return ctx.reply('🔒 Perintah ini hanya untuk admin.');
   }
   
-  if (!ACCESS_TOKEN || !USER_ID) {
+  if (!accountPool.hasAccounts()) {
     return ctx.reply('❌ ACCESS_TOKEN atau USER_ID belum dikonfigurasi.');
   }
   
-  const args = ctx.message.text.split(' ').slice(1);
+  const parts = ctx.message.text.split(' ').slice(1);
+  const dryRun = parts.some(a => a === '--dry-run' || a === '--dry');
+  const args = parts.filter(a => a && !a.startsWith('--'));
   
   if (args.length < 2) {
-    return ctx.reply('❌ Format: /single <address> <amount>\nContoh: /single 0x1234...abcd 0.001');
+    return ctx.reply('❌ Format: /single <address> <amount> [--dry-run]\nContoh: /single 0x1234...abcd 0.001');
   }
   
   const address = args[0];
@@ -1277,31 +1737,46 @@ bot.command('single', async (ctx) => {
     return ctx.reply('❌ Amount tidak valid!');
   }
   
+  if (dryRun) {
+    const plan = await dryRunPlanner.planSingle(address, amount, { reserve: batchTransferHandler.balanceReserve });
+    return ctx.reply(batchTransferHandler.formatDryRun(plan), { parse_mode: 'HTML' });
+  }
+  
+  if (diamanteBreaker.isOpen()) {
+    return ctx.reply(errorHandler.getUserFriendlyMessage('CIRCUIT_OPEN'));
+  }
+  
   const msg = await ctx.reply(`⚡ Memproses transfer ${amount} DIAM ke ${address.slice(0, 10)}...`);
   
   try {
-    const { success, result, attempts } = await transferWithRetry(address, amount);
+    const outcome = await queueTransfer(ctx, msg, 'single', address, amount);
+    if (outcome.cancelled) {
+      await ctx.telegram.editMessageText(ctx.chat.id, msg.message_id, null, '⏹️ Transfer dibatalkan dari antrian.');
+      return;
+    }
+    const { success, result, attempts, trace, account } = outcome;
     
     if (success) {
-      const hash = result.data?.transferData?.hash || 'N/A';
+      const hash = result.data.transferData.hash;
       let message = `✅ *TRANSFER BERHASIL!*\n\n`;
       message += `📫 To: \`${address}\`\n`;
       message += `💰 Amount: ${amount} DIAM\n`;
       message += `🔗 Hash: \`${hash}\`\n`;
-      if (attempts > 1) message += `🔄 Attempts: ${attempts}`;
+      message += `👛 From: ${account.label}\n`;
+      if (attempts > 1) message += `🔄 Attempts: ${attempts}\n` + transferService.formatRetryTrace(trace);
       
       await ctx.telegram.editMessageText(ctx.chat.id, msg.message_id, null, message, { parse_mode: 'Markdown' });
       
       try {
-        const mysteryResult = await claimMysteryBox();
-        if (mysteryResult.success && mysteryResult.data?.mysteryReward) {
+        const mysteryResult = await transferService.claimMystery(outcome);
+        if (mysteryResult.success && mysteryResult.data.mysteryReward) {
           ctx.reply(`🎁 Mystery Box: +${mysteryResult.data.mysteryReward} ${mysteryResult.data.rewardType || 'XP'}`);
         }
       } catch (e) {}
     } else {
       const errorMsg = result?.message || 'Unknown error';
       await ctx.telegram.editMessageText(ctx.chat.id, msg.message_id, null,
-        `❌ Transfer gagal setelah ${attempts}x percobaan.\n\nError: ${errorMsg}`
+        `❌ Transfer gagal setelah ${attempts}x percobaan.\n\nError: ${errorMsg}\n\n` + transferService.formatRetryTrace(trace)
       );
     }
   } catch (error) {
@@ -1330,6 +1805,8 @@ bot.command('addadmin', (ctx) => {
     ctx.reply(`✅ Admin ditambahkan!\n\n👤 ID: \`${newAdminId}\``, { parse_mode: 'Markdown' });
   } else if (result.reason === 'primary') {
     ctx.reply('⚠️ User ini adalah Super Admin.');
+  } else if (result.reason === 'storage') {
+    ctx.reply(STORAGE_ERROR_REPLY);
   } else {
     ctx.reply('⚠️ User sudah menjadi admin.');
   }
@@ -1359,6 +1836,8 @@ bot.command('removeadmin', (ctx) => {
     ctx.reply(`✅ Admin dihapus!\n\n👤 ID: \`${adminId}\``, { parse_mode: 'Markdown' });
   } else if (result.reason === 'primary') {
     ctx.reply('❌ Tidak bisa menghapus Super Admin!');
+  } else if (result.reason === 'storage') {
+    ctx.reply(STORAGE_ERROR_REPLY);
   } else {
     ctx.reply('❌ User bukan admin.');
   }
@@ -1385,6 +1864,106 @@ bot.command('admins', (ctx) => {
   ctx.replyWithMarkdown(message);
 });
 
+bot.command('accounts', (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    return ctx.reply('🔒 Perintah ini hanya untuk admin.');
+  }
+  
+  const { message, keyboard } = getAccountsView();
+  ctx.reply(message, { parse_mode: 'HTML', ...keyboard });
+});
+
+bot.command('addaccount', async (ctx) => {
+  if (!isPrimaryAdmin(ctx.from.id)) {
+    return ctx.reply('🔒 Perintah ini hanya untuk Super Admin.');
+  }
+  
+  const args = ctx.message.text.split(' ').slice(1);
+  
+  // Pesan berisi token, jangan dibiarkan tersimpan di chat
+  try {
+    await ctx.deleteMessage();
+  } catch (e) {}
+  
+  if (args.length < 2) {
+    return ctx.reply('❌ Format: /addaccount <user_id> <access_token> [label]');
+  }
+  
+  const [userId, accessToken, ...labelParts] = args;
+  const label = labelParts.join(' ') || undefined;
+  
+  if (label && !validationHelper.isValidLabel(label)) {
+    return ctx.reply('❌ Label tidak valid!\nGunakan huruf, angka, spasi, titik atau strip (maks 32 karakter).');
+  }
+  
+  const result = accountPool.addAccount({ userId, accessToken, label });
+  
+  if (result.success) {
+    auditLogger.logAccountAdd(ctx.from.id, ctx.from.first_name, result.account.id, result.account.label);
+    ctx.reply(`✅ Akun ditambahkan!\n\n👛 ${result.account.label} (\`${result.account.id}\`)`, { parse_mode: 'Markdown' });
+  } else {
+    ctx.reply('⚠️ Akun dengan user id tersebut sudah ada.');
+  }
+});
+
+bot.command('removeaccount', (ctx) => {
+  if (!isPrimaryAdmin(ctx.from.id)) {
+    return ctx.reply('🔒 Perintah ini hanya untuk Super Admin.');
+  }
+  
+  const args = ctx.message.text.split(' ').slice(1);
+  
+  if (args.length === 0) {
+    return ctx.reply('❌ Format: /removeaccount <id>');
+  }
+  
+  const accountId = args[0];
+  
+  if (accountPool.removeAccount(accountId)) {
+    auditLogger.logAccountRemove(ctx.from.id, ctx.from.first_name, accountId);
+    ctx.reply(`✅ Akun dihapus!\n\n👛 ID: \`${accountId}\``, { parse_mode: 'Markdown' });
+  } else {
+    ctx.reply('❌ Akun tidak ditemukan.');
+  }
+});
+
+bot.command('rotatetoken', async (ctx) => {
+  const args = ctx.message.text.split(' ').slice(1);
+  const accountId = args[0] || accountPool.getExpiredAccounts()[0]?.id || 'main';
+  
+  await tokenRotationHandler.promptToken(ctx, accountId);
+});
+
+bot.command('ledger', async (ctx) => {
+  if (!isAdmin(ctx.from.id)) {
+    return ctx.reply('🔒 Perintah ini hanya untuk admin.');
+  }
+  
+  let filters;
+  try {
+    filters = transferLedger.parseFilters(ctx.message.text.split(/\s+/).slice(1).filter(Boolean));
+  } catch (error) {
+    return ctx.reply(`❌ ${error.message}\n\nFormat: /ledger [csv|json] [YYYY-MM-DD dari] [YYYY-MM-DD sampai] [address]\nContoh: /ledger csv 2026-10-01 2026-10-18`);
+  }
+  
+  const { filename, content, count } = transferLedger.export(filters);
+  if (count === 0) {
+    return ctx.reply('📭 Tidak ada transfer yang cocok dengan filter.');
+  }
+  
+  await ctx.replyWithDocument({ source: Buffer.from(content), filename }, {
+    caption: `📒 Ledger transfer: ${count} entri`
+  });
+  
+  auditLogger.logLedgerExport(ctx.from.id, ctx.from.first_name, {
+    format: filters.format,
+    from: filters.from?.toISOString() || null,
+    to: filters.to?.toISOString() || null,
+    address: filters.address,
+    count
+  });
+});
+
 // ============================================================
 // ERROR HANDLING
 // ============================================================
@@ -1397,15 +1976,54 @@ bot.catch(async (err, ctx) => {
 // BOT LAUNCH
 // ============================================================
 
+// File data rusak yang dipulihkan dari backup saat startup: laporkan ke Super Admin
+async function notifyStorageRecovery(recovered) {
+  if (recovered.length === 0 || !PRIMARY_ADMIN_ID) return;
+
+  let message = `🛟 <b>Data Rusak Terdeteksi Saat Startup</b>\n\n`;
+  for (const item of recovered) {
+    message += item.backup
+      ? `✅ <code>${item.file}</code> dipulihkan dari <code>${item.backup}</code>\n`
+      : `❌ <code>${item.file}</code> tidak bisa dipulihkan${item.error ? `: ${item.error}` : ''}\n` +
+        `   Data ini dikunci read-only (perubahan ditolak) sampai diperbaiki manual dan bot di-restart\n`;
+    if (item.corruptFile) {
+      message += `   Salinan file rusak: <code>${item.corruptFile}</code>\n`;
+    }
+  }
+
+  try {
+    await bot.telegram.sendMessage(PRIMARY_ADMIN_ID, message, { parse_mode: 'HTML' });
+  } catch (error) {
+    logger.error('Failed to notify admin about storage recovery:', error.message);
+  }
+}
+
 async function initializeBot() {
   logger.info('Initializing bot components...');
   
+  // Cek file data sebelum dimuat: yang rusak diganti backup valid terakhir, bukan dikosongkan
+  const recovered = storage.verify();
+  
   // Initialize managers
   await userManager.init();
   await auditLogger.init();
   await analyticsHelper.init();
+  await accountPool.init();
+  tierTracker.init();
+  await batchJobStore.init();
+  await transferLedger.init();
+  await tweetContentStore.init();
+  await scheduler.init();
+  
+  scheduleHandler.registerExecutors();
+  scheduler.start();
   
   logger.success('All components initialized');
+  
+  await notifyStorageRecovery(recovered);
+  
+  // Batch yang terputus karena restart: tawarkan lanjut ke admin yang memulainya
+  await batchTransferHandler.notifyUnfinishedJobs();
 }
 
 initializeBot().then(() => {
@@ -1435,6 +2053,12 @@ async function gracefulShutdown(signal) {
   await userManager.saveUsers();
   await auditLogger.save();
   await analyticsHelper.save();
+  await accountPool.flush();
+  tweetContentStore.flush();
+  batchJobStore.save();
+  scheduler.stop();
+  scheduler.save();
+  storage.close();
   
   bot.stop(signal);
   logger.success('Bot stopped gracefully');
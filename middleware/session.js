@@ -34,7 +34,8 @@ class SessionManager {
             data: {},
             broadcastDraft: null,
             liveChatTarget: null,
-            pendingAction: null
+            pendingAction: null,
+            batchOptions: null
         };
     }
 
@@ -89,6 +90,18 @@ class SessionManager {
         session.broadcastDraft = null;
     }
 
+    // Preferensi batch transfer (mode, filter wallet, amount) sengaja tidak ikut dihapus clearState,
+    // dipakai juga oleh jadwal batch yang dibuat dari menu lain
+    setBatchOptions(userId, options) {
+        const session = this.getSession(userId);
+        session.batchOptions = options;
+    }
+
+    getBatchOptions(userId) {
+        const session = this.getSession(userId);
+        return session.batchOptions;
+    }
+
     setLiveChatTarget(userId, targetId, targetName = null) {
         const session = this.getSession(userId);
         session.liveChatTarget = {
@@ -0,0 +1,214 @@
+// File: mock/diamanteMockServer.js
+// Server lokal pengganti campapi Diamante untuk testing tanpa menyentuh API asli
+//
+// Jalankan:  npm run mock
+// Lalu set:  DIAMANTE_API_BASE=http://localhost:4010/api/v1
+//
+// Scenario (MOCK_SCENARIO atau POST /__mock/scenario {"scenario": "..."}):
+//   success    - semua request berhasil
+//   cooldown   - faucet selalu cooldown
+//   rate_limit - transfer dibalas 429 "Rate limit exceeded" + Retry-After (MOCK_RETRY_AFTER detik)
+//   db_error   - transfer dibalas "Internal database error"
+//   mixed      - transfer gagal acak sesuai MOCK_FAILURE_RATE
+//   auth_expired - semua endpoint dibalas 401 "Unauthenticated"
+//
+// Token yang sama dengan MOCK_EXPIRED_TOKEN juga selalu dibalas 401.
+
+import http from 'http';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const SCENARIOS = ['success', 'cooldown', 'rate_limit', 'db_error', 'mixed', 'auth_expired'];
+const FAUCET_AMOUNT = 1;
+const FAUCET_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+function createState(options) {
+    return {
+        scenario: SCENARIOS.includes(options.scenario) ? options.scenario : 'success',
+        failureRate: options.failureRate,
+        expiredToken: options.expiredToken,
+        retryAfterSeconds: options.retryAfterSeconds,
+        startBalance: options.startBalance,
+        balances: new Map(),
+        lastFaucet: new Map(),
+        transfers: []
+    };
+}
+
+function getBalance(state, userId) {
+    if (!state.balances.has(userId)) {
+        state.balances.set(userId, state.startBalance);
+    }
+    return state.balances.get(userId);
+}
+
+function addressFor(userId) {
+    return '0x' + crypto.createHash('sha1').update(String(userId)).digest('hex');
+}
+
+function sendJson(res, status, payload, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
+}
+
+function readBody(req) {
+    return new Promise((resolve) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : {});
+            } catch (e) {
+                resolve({});
+            }
+        });
+    });
+}
+
+function isAuthenticated(state, req) {
+    if (state.scenario === 'auth_expired') return false;
+
+    const match = (req.headers.cookie || '').match(/access_token=([^;]*)/);
+    const token = match ? match[1] : '';
+    return Boolean(token) && token !== 'undefined' && token !== state.expiredToken;
+}
+
+function transferFailure(state) {
+    if (state.scenario === 'rate_limit') return 'rate_limit';
+    if (state.scenario === 'db_error') return 'db_error';
+    if (state.scenario === 'mixed' && Math.random() < state.failureRate) {
+        return Math.random() < 0.5 ? 'rate_limit' : 'db_error';
+    }
+    return null;
+}
+
+async function handleRequest(state, req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname;
+    let match;
+
+    if (req.method === 'GET' && path === '/__mock/state') {
+        return sendJson(res, 200, {
+            scenario: state.scenario,
+            balances: Object.fromEntries(state.balances),
+            transfers: state.transfers.length
+        });
+    }
+
+    if (req.method === 'POST' && path === '/__mock/scenario') {
+        const body = await readBody(req);
+        if (!SCENARIOS.includes(body.scenario)) {
+            return sendJson(res, 400, { success: false, message: `Unknown scenario. Use: ${SCENARIOS.join(', ')}` });
+        }
+        state.scenario = body.scenario;
+        return sendJson(res, 200, { success: true, scenario: state.scenario });
+    }
+
+    if (path.startsWith('/api/v1/') && !isAuthenticated(state, req)) {
+        return sendJson(res, 401, { success: false, message: 'Unauthenticated' });
+    }
+
+    if (req.method === 'GET' && (match = path.match(/^\/api\/v1\/transaction\/get-balance\/([^/]+)$/))) {
+        const userId = match[1];
+        return sendJson(res, 200, {
+            success: true,
+            data: { address: addressFor(userId), balance: getBalance(state, userId) }
+        });
+    }
+
+    if (req.method === 'GET' && (match = path.match(/^\/api\/v1\/transaction\/fund-wallet\/([^/]+)$/))) {
+        const userId = match[1];
+        const last = state.lastFaucet.get(userId) || 0;
+        const nextEligibleAt = state.scenario === 'cooldown'
+            ? Date.now() + FAUCET_COOLDOWN_MS
+            : last + FAUCET_COOLDOWN_MS;
+
+        if (state.scenario === 'cooldown' || Date.now() < nextEligibleAt) {
+            return sendJson(res, 200, {
+                success: false,
+                message: 'Faucet already claimed. Please wait for cooldown.',
+                data: { nextEligibleAt: new Date(nextEligibleAt).toISOString() }
+            });
+        }
+
+        state.lastFaucet.set(userId, Date.now());
+        state.balances.set(userId, getBalance(state, userId) + FAUCET_AMOUNT);
+        return sendJson(res, 200, { success: true, data: { amount: FAUCET_AMOUNT } });
+    }
+
+    if (req.method === 'POST' && path === '/api/v1/transaction/transfer') {
+        const body = await readBody(req);
+        const failure = transferFailure(state);
+
+        if (failure === 'rate_limit') {
+            return sendJson(res, 429, { success: false, message: 'Rate limit exceeded. Please try again later.' }, {
+                'Retry-After': String(state.retryAfterSeconds)
+            });
+        }
+        if (failure === 'db_error') {
+            return sendJson(res, 500, { success: false, message: 'Internal database error' });
+        }
+
+        const amount = Number(body.amount);
+        const balance = getBalance(state, body.userId);
+        if (!body.toAddress || !(amount > 0)) {
+            return sendJson(res, 400, { success: false, message: 'Invalid transfer payload' });
+        }
+        if (balance < amount) {
+            return sendJson(res, 400, { success: false, message: 'Insufficient balance' });
+        }
+
+        const hash = '0x' + crypto.randomBytes(32).toString('hex');
+        state.balances.set(body.userId, balance - amount);
+        state.transfers.push({ to: body.toAddress, amount, hash, at: Date.now() });
+
+        return sendJson(res, 200, {
+            success: true,
+            data: { transferData: { hash, toAddress: body.toAddress, amount } }
+        });
+    }
+
+    if (req.method === 'POST' && (match = path.match(/^\/api\/v1\/mystery\/claim\/([^/]+)$/))) {
+        return sendJson(res, 200, {
+            success: true,
+            data: { mysteryReward: 1 + Math.floor(Math.random() * 10), rewardType: 'XP' }
+        });
+    }
+
+    if (req.method === 'GET' && (match = path.match(/^\/api\/v1\/transaction\/tweet-content\/([^/]+)$/))) {
+        return sendJson(res, 200, {
+            success: true,
+            data: { content: `Just made another transfer on @Diamante testnet! #DiamanteTestnet ${match[1]}` }
+        });
+    }
+
+    return sendJson(res, 404, { success: false, message: 'Not found' });
+}
+
+export function createMockServer(options = {}) {
+    const state = createState({
+        scenario: options.scenario || process.env.MOCK_SCENARIO,
+        failureRate: options.failureRate ?? parseFloat(process.env.MOCK_FAILURE_RATE || '0.3'),
+        expiredToken: options.expiredToken ?? process.env.MOCK_EXPIRED_TOKEN ?? 'expired',
+        retryAfterSeconds: options.retryAfterSeconds ?? parseInt(process.env.MOCK_RETRY_AFTER || '5', 10),
+        startBalance: options.startBalance ?? parseFloat(process.env.MOCK_START_BALANCE || '10')
+    });
+
+    const server = http.createServer((req, res) => {
+        handleRequest(state, req, res).catch(error => {
+            sendJson(res, 500, { success: false, message: error.message });
+        });
+    });
+
+    server.state = state;
+    return server;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = parseInt(process.env.MOCK_PORT || '4010', 10);
+    const server = createMockServer();
+
+    server.listen(port, () => {
+        console.log(`🧪 Diamante mock API listening on http://localhost:${port}/api/v1 (scenario: ${server.state.scenario})`);
+    });
+}
@@ -0,0 +1,68 @@
+// File: scripts/migrateStorage.js
+// Migrasi sekali jalan semua data bot antar backend storage (JSON file <-> SQLite)
+//
+// Jalankan saat bot MATI:  npm run migrate:storage -- json sqlite [--force]
+// Lalu set di .env:        STORAGE_BACKEND=sqlite (opsional STORAGE_SQLITE_FILE, default data/bot.db)
+//
+// Data sumber tidak dihapus. Tanpa --force, migrasi batal kalau tujuan sudah berisi data.
+
+import 'dotenv/config';
+import storage from '../utils/storage.js';
+
+function usage(message) {
+    if (message) console.error(`❌ ${message}`);
+    console.error(`Pakai: npm run migrate:storage -- <dari> <ke> [--force]   (${storage.getBackends().join(' / ')})`);
+    process.exit(1);
+}
+
+function migrate(fromName, toName, force) {
+    const source = storage.createBackend(fromName);
+    const target = storage.createBackend(toName);
+
+    try {
+        const documentKeys = storage.getDocumentKeys().filter(key => source.has(key));
+        const logKeys = storage.getLogKeys();
+
+        if (!force) {
+            const occupied = [
+                ...storage.getDocumentKeys().filter(key => target.has(key)),
+                ...logKeys.filter(key => target.readLog(key).length > 0)
+            ];
+            if (occupied.length > 0) {
+                throw new Error(`Tujuan sudah berisi data (${occupied.join(', ')}). Pakai --force untuk menimpa.`);
+            }
+        }
+
+        console.log(`🔁 Migrasi ${source.describe()} → ${target.describe()}`);
+
+        for (const key of documentKeys) {
+            target.write(key, source.read(key));
+            console.log(`   📄 ${key}`);
+        }
+
+        for (const key of logKeys) {
+            const records = source.readLog(key);
+            target.replaceLog(key, records);
+            console.log(`   📜 ${key}: ${records.length} record`);
+        }
+
+        console.log(`✅ Selesai: ${documentKeys.length} dokumen, ${logKeys.length} log`);
+        console.log(`   Set STORAGE_BACKEND=${toName} di .env lalu jalankan ulang bot.`);
+    } finally {
+        source.close();
+        target.close();
+    }
+}
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const [fromName, toName] = args.filter(arg => arg !== '--force');
+
+if (!fromName || !toName) usage();
+if (fromName === toName) usage('Backend asal dan tujuan sama');
+
+try {
+    migrate(fromName, toName, force);
+} catch (error) {
+    usage(error.message);
+}
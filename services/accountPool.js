@@ -0,0 +1,394 @@
+// File: services/accountPool.js
+// Pool akun Diamante (token + user id) untuk transfer multi-akun
+
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import storage from '../utils/storage.js';
+import validationHelper from '../utils/validationHelper.js';
+import DiamanteClient from './diamanteClient.js';
+
+const STRATEGIES = {
+    round_robin: 'Round Robin',
+    highest_balance: 'Highest Balance',
+    least_used: 'Least Used',
+    random: 'Random'
+};
+
+function fingerprint(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex').slice(0, 16);
+}
+
+class AccountPool {
+    constructor() {
+        this.storageKey = 'accounts';
+        this.accounts = [];
+        this.clients = new Map();
+        this.strategy = STRATEGIES[process.env.ACCOUNT_STRATEGY] ? process.env.ACCOUNT_STRATEGY : 'round_robin';
+        this.roundRobinIndex = 0;
+        this.balanceTtl = 60 * 1000;
+        this.availabilityWaiters = [];
+        this.inFlight = new Map();
+        this.capacityWaiters = [];
+        this.onAuthFailure = null;
+        // Jumlah transfer sukses yang langsung disimpan tanpa debounce (batas tier, lihat tierTracker)
+        this.saveMilestones = new Set();
+        this.initialized = false;
+    }
+
+    async init() {
+        if (this.initialized) return;
+
+        try {
+            const data = storage.read(this.storageKey);
+            if (data) {
+                this.accounts = data.accounts || [];
+                if (STRATEGIES[data.strategy]) this.strategy = data.strategy;
+            }
+            this.normalizeLabels();
+
+            this.seedFromEnv();
+            this.initialized = true;
+            logger.info(`AccountPool initialized with ${this.accounts.length} accounts (${this.strategy})`);
+        } catch (error) {
+            logger.error('Failed to initialize AccountPool:', error.message);
+            this.accounts = [];
+            this.seedFromEnv();
+        }
+    }
+
+    // Akun utama dari .env; token di .env yang diedit manual selalu menang
+    seedFromEnv() {
+        const accessToken = process.env.ACCESS_TOKEN;
+        const userId = process.env.USER_ID;
+        if (!accessToken || !userId) return;
+
+        const envHash = fingerprint(accessToken);
+        const existing = this.getAccount('main');
+
+        if (!existing) {
+            this.accounts.unshift(this.createAccount({
+                id: 'main',
+                label: process.env.ACCOUNT_LABEL || 'Main',
+                userId,
+                accessToken
+            }));
+            this.accounts[0].envTokenHash = envHash;
+            this.save();
+        } else if (existing.envTokenHash !== envHash || existing.userId !== userId) {
+            existing.accessToken = accessToken;
+            existing.userId = userId;
+            existing.envTokenHash = envHash;
+            existing.authExpired = false;
+            this.clients.delete('main');
+            this.save();
+        }
+    }
+
+    // Label lama (sebelum validasi) / dari ACCOUNT_LABEL dibersihkan sekali saat load
+    normalizeLabels() {
+        let changed = false;
+        this.accounts.forEach((account, i) => {
+            if (validationHelper.isValidLabel(account.label)) return;
+            account.label = validationHelper.sanitizeLabel(account.label) || `Account ${i + 1}`;
+            changed = true;
+        });
+        if (changed) this.save();
+    }
+
+    createAccount({ id, label, userId, accessToken }) {
+        return {
+            id: id || Date.now().toString(36),
+            label: validationHelper.sanitizeLabel(label) || `Account ${this.accounts.length + 1}`,
+            userId: userId.toString(),
+            accessToken,
+            enabled: true,
+            authExpired: false,
+            addedAt: new Date().toISOString(),
+            balance: null,
+            balanceCheckedAt: null,
+            stats: {
+                success: 0,
+                failed: 0,
+                lastUsedAt: null
+            }
+        };
+    }
+
+    addAccount({ label, userId, accessToken }) {
+        if (this.accounts.some(a => a.userId === userId.toString())) {
+            return { success: false, reason: 'exists' };
+        }
+
+        const account = this.createAccount({ label, userId, accessToken });
+        this.accounts.push(account);
+        this.save();
+        this.resolveWaiters();
+
+        logger.info(`Account added: ${account.label} (${account.id})`);
+        return { success: true, account };
+    }
+
+    removeAccount(id) {
+        const index = this.accounts.findIndex(a => a.id === id);
+        if (index === -1) return false;
+
+        const [removed] = this.accounts.splice(index, 1);
+        this.clients.delete(removed.id);
+        this.save();
+
+        logger.info(`Account removed: ${removed.label} (${removed.id})`);
+        return true;
+    }
+
+    getAccount(id) {
+        return this.accounts.find(a => a.id === id);
+    }
+
+    getAccounts() {
+        return this.accounts;
+    }
+
+    getUsableAccounts() {
+        return this.accounts.filter(a => a.enabled && !a.authExpired);
+    }
+
+    getExpiredAccounts() {
+        return this.accounts.filter(a => a.enabled && a.authExpired);
+    }
+
+    hasAccounts() {
+        return this.getUsableAccounts().length > 0;
+    }
+
+    isPausedForAuth() {
+        return !this.hasAccounts() && this.getExpiredAccounts().length > 0;
+    }
+
+    markAuthFailed(accountId) {
+        const account = this.getAccount(accountId);
+        if (!account || account.authExpired) return;
+
+        account.authExpired = true;
+        account.authExpiredAt = new Date().toISOString();
+        this.save();
+
+        logger.warn(`Access token expired for account ${account.label} (${account.id})`);
+
+        if (this.onAuthFailure) {
+            this.onAuthFailure(account);
+        }
+    }
+
+    rotateToken(accountId, accessToken) {
+        const account = this.getAccount(accountId);
+        if (!account) return false;
+
+        account.accessToken = accessToken;
+        account.authExpired = false;
+        account.authExpiredAt = null;
+        account.tokenRotatedAt = new Date().toISOString();
+        this.clients.delete(account.id);
+        this.save();
+
+        logger.info(`Access token rotated for account ${account.label} (${account.id})`);
+        this.resolveWaiters();
+        return true;
+    }
+
+    // Transfer yang dijeda menunggu di sini sampai ada akun dengan token valid
+    waitForUsable() {
+        if (this.hasAccounts()) return Promise.resolve();
+        return new Promise(resolve => this.availabilityWaiters.push(resolve));
+    }
+
+    resolveWaiters() {
+        if (!this.hasAccounts()) return;
+
+        const waiters = this.availabilityWaiters;
+        this.availabilityWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    setOnAuthFailure(callback) {
+        this.onAuthFailure = callback;
+    }
+
+    getClient(account) {
+        if (!this.clients.has(account.id)) {
+            this.clients.set(account.id, new DiamanteClient({
+                baseUrl: process.env.DIAMANTE_API_BASE,
+                accessToken: account.accessToken,
+                userId: account.userId
+            }));
+        }
+        return this.clients.get(account.id);
+    }
+
+    getStrategies() {
+        return STRATEGIES;
+    }
+
+    setStrategy(strategy) {
+        if (!STRATEGIES[strategy]) return false;
+        this.strategy = strategy;
+        this.save();
+        return true;
+    }
+
+    async refreshBalance(account, force = false) {
+        const fresh = account.balanceCheckedAt && Date.now() - account.balanceCheckedAt < this.balanceTtl;
+        if (fresh && !force) return account.balance;
+
+        try {
+            const result = await this.getClient(account).getBalance();
+            if (result.success) {
+                account.balance = parseFloat(result.data.balance);
+                account.balanceCheckedAt = Date.now();
+            }
+        } catch (error) {
+            if (error.category === 'AUTH') this.markAuthFailed(account.id);
+            logger.warn(`Balance check failed for ${account.label}: ${error.message}`);
+        }
+
+        return account.balance;
+    }
+
+    async selectAccount(strategy = this.strategy, candidates = null) {
+        const usable = candidates || this.getUsableAccounts();
+        if (usable.length === 0) return null;
+        if (usable.length === 1) return usable[0];
+
+        switch (strategy) {
+            case 'highest_balance': {
+                for (const account of usable) {
+                    await this.refreshBalance(account);
+                }
+                return usable.reduce((best, a) => ((a.balance ?? -1) > (best.balance ?? -1) ? a : best));
+            }
+            case 'least_used':
+                return usable.reduce((best, a) => {
+                    const used = a.stats.success + a.stats.failed;
+                    const bestUsed = best.stats.success + best.stats.failed;
+                    return used < bestUsed ? a : best;
+                });
+            case 'random':
+                return usable[Math.floor(Math.random() * usable.length)];
+            case 'round_robin':
+            default: {
+                const account = usable[this.roundRobinIndex % usable.length];
+                this.roundRobinIndex = (this.roundRobinIndex + 1) % usable.length;
+                return account;
+            }
+        }
+    }
+
+    // Seperti selectAccount, tapi membatasi jumlah transfer paralel per akun
+    // filter: batasi akun yang boleh dipakai (mis. hanya akun yang belum mencapai tier target)
+    async acquireAccount(strategy = this.strategy, maxInFlight = Infinity, filter = null) {
+        while (true) {
+            const usable = filter ? this.getUsableAccounts().filter(filter) : this.getUsableAccounts();
+            if (usable.length === 0) return null;
+
+            const candidates = usable.filter(a => this.getInFlight(a.id) < maxInFlight);
+            if (candidates.length > 0) {
+                const account = await this.selectAccount(strategy, candidates);
+                this.inFlight.set(account.id, (this.inFlight.get(account.id) || 0) + 1);
+                return account;
+            }
+
+            await new Promise(resolve => this.capacityWaiters.push(resolve));
+        }
+    }
+
+    getInFlight(accountId) {
+        return this.inFlight.get(accountId) || 0;
+    }
+
+    releaseAccount(accountId) {
+        const current = this.inFlight.get(accountId) || 0;
+        if (current <= 1) {
+            this.inFlight.delete(accountId);
+        } else {
+            this.inFlight.set(accountId, current - 1);
+        }
+
+        const waiters = this.capacityWaiters;
+        this.capacityWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    recordResult(accountId, success, amount = 0) {
+        const account = this.getAccount(accountId);
+        if (!account) return;
+
+        if (success) {
+            account.stats.success++;
+            if (typeof account.balance === 'number') {
+                account.balance = Math.max(0, account.balance - amount);
+            }
+        } else {
+            account.stats.failed++;
+        }
+
+        account.stats.lastUsedAt = new Date().toISOString();
+
+        if (success && this.saveMilestones.has(account.stats.success)) {
+            this.flush();
+        } else {
+            this.debouncedSave();
+        }
+    }
+
+    setSaveMilestones(counts) {
+        this.saveMilestones = new Set(counts);
+    }
+
+    getStats() {
+        return this.accounts.map(a => {
+            const total = a.stats.success + a.stats.failed;
+            return {
+                id: a.id,
+                label: a.label,
+                userId: a.userId,
+                enabled: a.enabled,
+                authExpired: Boolean(a.authExpired),
+                balance: a.balance,
+                success: a.stats.success,
+                failed: a.stats.failed,
+                successRate: total > 0 ? `${((a.stats.success / total) * 100).toFixed(1)}%` : '0%',
+                lastUsedAt: a.stats.lastUsedAt
+            };
+        });
+    }
+
+    async save() {
+        try {
+            const data = {
+                strategy: this.strategy,
+                accounts: this.accounts,
+                lastUpdated: new Date().toISOString()
+            };
+
+            storage.write(this.storageKey, data);
+        } catch (error) {
+            logger.error('Failed to save accounts:', error.message);
+        }
+    }
+
+    saveTimer = null;
+    debouncedSave() {
+        if (this.saveTimer) clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), 3000);
+    }
+
+    // Simpan sekarang, termasuk perubahan yang masih menunggu debouncedSave
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        return this.save();
+    }
+}
+
+export default new AccountPool();
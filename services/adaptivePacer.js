@@ -0,0 +1,97 @@
+// File: services/adaptivePacer.js
+// Pacing adaptif untuk batch transfer: makin cepat saat lancar, mundur saat kena rate limit
+
+// Rule retry yang menandakan API minta kita melambat
+const THROTTLE_RULES = ['rate_limit', 'syncing'];
+
+export class AdaptivePacer {
+    constructor(options = {}) {
+        this.minDelayMs = options.minDelayMs ?? parseInt(process.env.BATCH_DELAY_MIN_MS || '1000', 10);
+        this.maxDelayMs = options.maxDelayMs ?? parseInt(process.env.BATCH_DELAY_MAX_MS || '60000', 10);
+        this.delayMs = options.initialDelayMs ?? parseInt(process.env.BATCH_DELAY_MS || '3000', 10);
+        this.speedupAfter = options.speedupAfter ?? parseInt(process.env.BATCH_SPEEDUP_AFTER || '5', 10);
+        this.speedupFactor = options.speedupFactor ?? parseFloat(process.env.BATCH_SPEEDUP_FACTOR || '0.85');
+        this.backoffFactor = options.backoffFactor ?? parseFloat(process.env.BATCH_BACKOFF_FACTOR || '2');
+        this.rateWindow = options.rateWindow || 10;
+
+        this.delayMs = this.clamp(this.delayMs);
+        this.consecutiveSuccesses = 0;
+        this.completions = [];
+        this.stats = { speedups: 0, backoffs: 0 };
+    }
+
+    clamp(ms) {
+        return Math.round(Math.min(this.maxDelayMs, Math.max(this.minDelayMs, ms)));
+    }
+
+    isThrottled({ result, trace = [] } = {}) {
+        if (trace.some(entry => THROTTLE_RULES.includes(entry.rule))) return true;
+        return /rate limit|syncing/i.test(result?.message || '');
+    }
+
+    recordResult(outcome = {}) {
+        this.completions.push(Date.now());
+        if (this.completions.length > this.rateWindow) {
+            this.completions.shift();
+        }
+
+        if (this.isThrottled(outcome)) {
+            this.delayMs = this.clamp(this.delayMs * this.backoffFactor);
+            this.consecutiveSuccesses = 0;
+            this.stats.backoffs++;
+            return;
+        }
+
+        if (!outcome.success) {
+            this.consecutiveSuccesses = 0;
+            return;
+        }
+
+        this.consecutiveSuccesses++;
+        if (this.consecutiveSuccesses >= this.speedupAfter) {
+            this.delayMs = this.clamp(this.delayMs * this.speedupFactor);
+            this.consecutiveSuccesses = 0;
+            this.stats.speedups++;
+        }
+    }
+
+    getDelay() {
+        return this.delayMs;
+    }
+
+    // Transfer per menit berdasarkan beberapa wallet terakhir
+    getRate() {
+        if (this.completions.length < 2) return null;
+
+        const span = this.completions[this.completions.length - 1] - this.completions[0];
+        if (span <= 0) return null;
+
+        return ((this.completions.length - 1) / span) * 60000;
+    }
+
+    // Perkiraan total jeda untuk N transfer berturut-turut kalau semuanya lancar (dipakai dry-run)
+    estimateDurationMs(transfers) {
+        let delay = this.delayMs;
+        let streak = this.consecutiveSuccesses;
+        let total = 0;
+
+        for (let i = 0; i < transfers - 1; i++) {
+            streak++;
+            if (streak >= this.speedupAfter) {
+                delay = this.clamp(delay * this.speedupFactor);
+                streak = 0;
+            }
+            total += delay;
+        }
+
+        return total;
+    }
+
+    describe() {
+        const rate = this.getRate();
+        return `⚡ Pace: ${(this.delayMs / 1000).toFixed(1)}s delay` +
+            (rate !== null ? ` (~${rate.toFixed(1)} tx/min)` : '');
+    }
+}
+
+export default AdaptivePacer;
@@ -0,0 +1,141 @@
+// File: services/amountStrategy.js
+// Strategi amount batch: amount tersimpan, fixed, random range, per grup, atau bagi rata budget
+
+import validationHelper from '../utils/validationHelper.js';
+
+const TYPES = {
+    stored: '📋 Amount tersimpan',
+    fixed: '📌 Fixed',
+    random: '🎲 Random',
+    group: '🏷️ Per grup',
+    split: '➗ Bagi budget'
+};
+
+const PROMPTS = {
+    fixed: 'Kirim amount untuk semua wallet.\nContoh: <code>0.005</code>',
+    random: 'Kirim range dan jumlah desimal: <code>min max [desimal]</code>\nContoh: <code>0.001 0.01 4</code>',
+    group: 'Kirim amount per grup: <code>grup=amount</code>\nContoh: <code>team=0.01 vip=0.05</code>\nWallet di luar grup memakai amount tersimpan.',
+    split: 'Kirim total budget yang dibagi rata ke semua wallet terpilih.\nContoh: <code>1.5</code>'
+};
+
+const SPLIT_DECIMALS = 6;
+
+function parseAmount(value) {
+    const amount = Number(value);
+    if (!validationHelper.isValidAmount(value) || !Number.isFinite(amount)) {
+        throw new Error(`Amount tidak valid: ${value}`);
+    }
+    return amount;
+}
+
+function floorTo(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.floor(value * factor) / factor;
+}
+
+function ceilTo(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.ceil(value * factor) / factor;
+}
+
+class AmountStrategy {
+    getTypes() {
+        return TYPES;
+    }
+
+    getPrompt(type) {
+        return PROMPTS[type];
+    }
+
+    // Validasi input admin, kembalikan strategi { type, ... } atau lempar Error
+    parse(type, input) {
+        const parts = String(input).trim().split(/\s+/).filter(Boolean);
+
+        if (type === 'fixed') {
+            if (parts.length !== 1) throw new Error('Kirim satu angka amount');
+            return { type, amount: parseAmount(parts[0]) };
+        }
+
+        if (type === 'random') {
+            if (parts.length < 2 || parts.length > 3) throw new Error('Format: min max [desimal]');
+            const min = parseAmount(parts[0]);
+            const max = parseAmount(parts[1]);
+            const decimals = parts[2] === undefined ? 4 : Number(parts[2]);
+            if (min >= max) throw new Error('Min harus lebih kecil dari max');
+            if (!Number.isInteger(decimals) || decimals < 0 || decimals > 8) {
+                throw new Error('Desimal harus 0 - 8');
+            }
+            if (floorTo(max, decimals) < min) throw new Error('Range terlalu sempit untuk jumlah desimal ini');
+            return { type, min, max, decimals };
+        }
+
+        if (type === 'group') {
+            if (parts.length === 0) throw new Error('Kirim minimal satu grup=amount');
+            const amounts = {};
+            for (const part of parts) {
+                const [tag, value] = part.split('=');
+                if (!tag || value === undefined) throw new Error(`Format salah: ${part} (harus grup=amount)`);
+                amounts[tag.toLowerCase().replace(/^#/, '')] = parseAmount(value);
+            }
+            return { type, amounts };
+        }
+
+        if (type === 'split') {
+            if (parts.length !== 1) throw new Error('Kirim satu angka budget');
+            return { type, budget: parseAmount(parts[0]) };
+        }
+
+        throw new Error(`Strategi tidak dikenal: ${type}`);
+    }
+
+    amountFor(strategy, wallet, count) {
+        switch (strategy?.type) {
+            case 'fixed':
+                return strategy.amount;
+            case 'random': {
+                // Dibulatkan ke bawah, tapi tidak boleh di bawah min
+                const value = floorTo(strategy.min + Math.random() * (strategy.max - strategy.min), strategy.decimals);
+                return value >= strategy.min ? value : ceilTo(strategy.min, strategy.decimals);
+            }
+            case 'group': {
+                const tag = Object.keys(strategy.amounts).find(t => (wallet.tags || []).includes(t));
+                return tag ? strategy.amounts[tag] : wallet.amount;
+            }
+            case 'split':
+                return floorTo(strategy.budget / count, SPLIT_DECIMALS);
+            default:
+                return wallet.amount;
+        }
+    }
+
+    // Wallet baru dengan amount hasil strategi (wallet asli tidak diubah)
+    apply(strategy, wallets) {
+        if (!strategy || strategy.type === 'stored') return wallets;
+
+        if (strategy.type === 'split' && floorTo(strategy.budget / wallets.length, SPLIT_DECIMALS) <= 0) {
+            throw new Error(`Budget ${strategy.budget} DIAM terlalu kecil untuk ${wallets.length} wallet`);
+        }
+
+        return wallets.map(wallet => ({
+            ...wallet,
+            amount: this.amountFor(strategy, wallet, wallets.length)
+        }));
+    }
+
+    describe(strategy) {
+        switch (strategy?.type) {
+            case 'fixed':
+                return `${TYPES.fixed} ${strategy.amount} DIAM`;
+            case 'random':
+                return `${TYPES.random} ${strategy.min} - ${strategy.max} DIAM (${strategy.decimals} desimal)`;
+            case 'group':
+                return `${TYPES.group} ${Object.entries(strategy.amounts).map(([t, a]) => `${t}=${a}`).join(', ')}`;
+            case 'split':
+                return `${TYPES.split} ${strategy.budget} DIAM`;
+            default:
+                return TYPES.stored;
+        }
+    }
+}
+
+export default new AmountStrategy();
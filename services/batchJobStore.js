@@ -0,0 +1,282 @@
+// File: services/batchJobStore.js
+// Penyimpanan job batch transfer (status per wallet) agar bisa dilanjutkan setelah restart
+
+import logger from '../utils/logger.js';
+import storage from '../utils/storage.js';
+import transferLedger from './transferLedger.js';
+
+const ACTIVE_STATUSES = ['queued', 'running', 'paused', 'interrupted'];
+
+class BatchJobStore {
+    constructor() {
+        this.storageKey = 'batch_jobs';
+        this.jobs = [];
+        this.maxFinishedJobs = 20;
+        this.initialized = false;
+    }
+
+    async init() {
+        if (this.initialized) return;
+
+        try {
+            const data = storage.read(this.storageKey);
+            if (data) {
+                this.jobs = data.jobs || [];
+            }
+
+            this.markInterrupted();
+            this.initialized = true;
+            logger.info(`BatchJobStore initialized with ${this.getUnfinishedJobs().length} unfinished jobs`);
+        } catch (error) {
+            logger.error('Failed to initialize BatchJobStore:', error.message);
+            this.jobs = [];
+        }
+    }
+
+    // Job yang masih antri / "running" / "paused" saat proses mati berarti terputus di tengah jalan
+    markInterrupted() {
+        let changed = false;
+
+        for (const job of this.jobs) {
+            if (!['queued', 'running', 'paused'].includes(job.status)) continue;
+
+            job.status = 'interrupted';
+            changed = true;
+
+            // Transfer yang sedang dikirim saat restart bisa saja sudah terkirim: jangan dianggap gagal
+            // (retry failed akan mengirim ulang), tandai unknown sampai ledger memastikan hasilnya
+            for (const wallet of job.wallets) {
+                if (wallet.status === 'sending') {
+                    wallet.status = 'unknown';
+                    wallet.error = 'Status tidak pasti (bot restart saat transfer), cek manual sebelum kirim ulang';
+                }
+            }
+        }
+
+        if (changed) {
+            this.reconcileUnknown();
+            this.save();
+        }
+    }
+
+    // Ledger ditulis begitu transfer selesai, sebelum status job; kalau hasilnya tercatat di sana, pakai itu
+    reconcileUnknown() {
+        const jobs = this.jobs.filter(j => j.wallets.some(w => w.status === 'unknown'));
+        if (jobs.length === 0) return;
+
+        const records = new Map();
+        for (const record of transferLedger.getTransfers()) {
+            if (record.jobId && record.walletIndex !== null && record.walletIndex !== undefined) {
+                records.set(`${record.jobId}:${record.walletIndex}`, record);
+            }
+        }
+
+        for (const job of jobs) {
+            job.wallets.forEach((wallet, index) => {
+                const record = wallet.status === 'unknown' && records.get(`${job.id}:${index}`);
+                if (!record) return;
+
+                job.wallets[index] = {
+                    ...wallet,
+                    status: record.success ? 'success' : 'failed',
+                    hash: record.hash,
+                    attempts: record.attempts,
+                    accountId: record.accountId,
+                    error: record.error
+                };
+                logger.info(`Batch job ${job.id} wallet #${index + 1} confirmed from ledger: ${record.success ? 'success' : 'failed'}`);
+            });
+        }
+    }
+
+    // Mode target tier: wallets mulai kosong, cycle = wallet yang diputar (lihat addWallet),
+    // plannedTransfers = perkiraan jumlah transfer saat dibuat, successLimit = batas hasil trim pre-flight
+    createJob({
+        wallets,
+        concurrency,
+        admin,
+        retryOf = null,
+        scheduleId = null,
+        targetTier = null,
+        amountStrategy = null,
+        cycle = null,
+        plannedTransfers = null,
+        successLimit = null
+    }) {
+        const job = {
+            id: Date.now().toString(36),
+            status: 'running',
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            startedBy: admin,
+            retryOf,
+            scheduleId,
+            targetTier,
+            amountStrategy,
+            concurrency,
+            cycle: cycle ? cycle.map(w => ({ address: w.address, amount: w.amount, tags: w.tags || [] })) : null,
+            plannedTransfers,
+            successLimit,
+            wallets: wallets.map(w => ({ address: w.address, amount: w.amount, status: 'pending' }))
+        };
+
+        this.jobs.push(job);
+        this.save();
+        return job;
+    }
+
+    getJob(jobId) {
+        return this.jobs.find(j => j.id === jobId) || null;
+    }
+
+    // Job selesai / dibatalkan, terbaru dulu
+    getFinishedJobs(limit = 10) {
+        return this.jobs
+            .filter(j => j.status === 'completed' || j.status === 'cancelled')
+            .slice(-limit)
+            .reverse();
+    }
+
+    getUnfinishedJobs() {
+        return this.jobs.filter(j => ACTIVE_STATUSES.includes(j.status));
+    }
+
+    // Hasil sebelumnya dalam format entry BatchRunner; unknown ikut dilewati saat resume
+    getResults(job) {
+        return job.wallets.map((wallet, index) => {
+            if (!['success', 'failed', 'unknown'].includes(wallet.status)) return null;
+
+            return {
+                index,
+                address: wallet.address,
+                amount: wallet.amount,
+                success: wallet.status === 'success',
+                unknown: wallet.status === 'unknown',
+                hash: wallet.hash || null,
+                attempts: wallet.attempts || 0,
+                accountId: wallet.accountId || null,
+                error: wallet.error || null,
+                mysteryReward: wallet.mysteryReward || null
+            };
+        });
+    }
+
+    getFailedWallets(job) {
+        return job.wallets
+            .filter(w => w.status === 'failed')
+            .map(w => ({ address: w.address, amount: w.amount }));
+    }
+
+    countByStatus(job) {
+        const counts = { pending: 0, sending: 0, success: 0, failed: 0, unknown: 0, skipped: 0 };
+        for (const wallet of job.wallets) {
+            counts[wallet.status] = (counts[wallet.status] || 0) + 1;
+        }
+        return counts;
+    }
+
+    // Wallet tambahan dari putaran target tier, disimpan sebelum dikirim supaya ikut di-resume
+    addWallet(jobId, wallet) {
+        const job = this.getJob(jobId);
+        if (!job) return;
+
+        job.wallets.push({ address: wallet.address, amount: wallet.amount, status: 'pending' });
+        this.touch(job);
+    }
+
+    markSending(jobId, index) {
+        const job = this.getJob(jobId);
+        if (!job) return;
+
+        job.wallets[index].status = 'sending';
+        this.touch(job);
+    }
+
+    recordResult(jobId, entry) {
+        const job = this.getJob(jobId);
+        if (!job) return;
+
+        job.wallets[entry.index] = {
+            address: entry.address,
+            amount: entry.amount,
+            status: entry.success ? 'success' : 'failed',
+            hash: entry.hash,
+            attempts: entry.attempts,
+            accountId: entry.accountId,
+            error: entry.error,
+            mysteryReward: entry.mysteryReward
+        };
+        this.touch(job);
+    }
+
+    setStatus(jobId, status) {
+        const job = this.getJob(jobId);
+        if (!job) return;
+
+        job.status = status;
+        this.touch(job);
+    }
+
+    completeJob(jobId, summary) {
+        const job = this.getJob(jobId);
+        if (!job) return;
+
+        // Reward mystery box datang belakangan dari lane terpisah
+        for (const entry of summary.results) {
+            job.wallets[entry.index].mysteryReward = entry.mysteryReward;
+        }
+
+        // Batch dibatalkan / target tercapai: wallet yang belum dikirim ditandai skipped
+        for (const index of summary.skippedIndexes || []) {
+            job.wallets[index].status = 'skipped';
+        }
+
+        job.status = summary.cancelled ? 'cancelled' : 'completed';
+        job.summary = {
+            total: summary.total,
+            success: summary.success,
+            failed: summary.failed,
+            unknown: summary.unknown,
+            skipped: summary.skipped,
+            mysteryXP: summary.mysteryXP,
+            durationMs: summary.durationMs,
+            stopReason: summary.stopReason,
+            cancelledBy: summary.cancelledBy || null
+        };
+        job.finishedAt = new Date().toISOString();
+        this.prune();
+        this.touch(job);
+    }
+
+    discardJob(jobId) {
+        this.setStatus(jobId, 'discarded');
+    }
+
+    prune() {
+        const finished = this.jobs.filter(j => !ACTIVE_STATUSES.includes(j.status));
+        const excess = finished.length - this.maxFinishedJobs;
+        if (excess <= 0) return;
+
+        const drop = new Set(finished.slice(0, excess).map(j => j.id));
+        this.jobs = this.jobs.filter(j => !drop.has(j.id));
+    }
+
+    touch(job) {
+        job.updatedAt = new Date().toISOString();
+        this.save();
+    }
+
+    // Simpan langsung (bukan debounce): status per wallet harus ada di disk sebelum transfer berikutnya
+    save() {
+        try {
+            storage.write(this.storageKey, {
+                jobs: this.jobs,
+                lastUpdated: new Date().toISOString()
+            });
+        } catch (error) {
+            logger.error('Failed to save batch jobs:', error.message);
+        }
+    }
+}
+
+export default new BatchJobStore();
@@ -0,0 +1,64 @@
+// File: services/batchReport.js
+// Laporan batch transfer: baris header JSON (diawali "#") lalu CSV hasil per wallet
+
+import { csvRow } from '../utils/csvHelper.js';
+
+const CSV_COLUMNS = ['no', 'address', 'amount', 'status', 'hash', 'attempts', 'accountId', 'error', 'mysteryReward'];
+
+class BatchReport {
+    buildHeader(job) {
+        const counts = { pending: 0, sending: 0, success: 0, failed: 0, unknown: 0, skipped: 0 };
+        for (const wallet of job.wallets) {
+            counts[wallet.status] = (counts[wallet.status] || 0) + 1;
+        }
+
+        return {
+            jobId: job.id,
+            status: job.status,
+            startedBy: job.startedBy,
+            createdAt: job.createdAt,
+            finishedAt: job.finishedAt || null,
+            durationMs: job.summary?.durationMs ?? null,
+            concurrency: job.concurrency,
+            retryOf: job.retryOf || null,
+            scheduleId: job.scheduleId || null,
+            targetTier: job.targetTier || null,
+            total: job.wallets.length,
+            success: counts.success,
+            failed: counts.failed,
+            unknown: counts.unknown,
+            skipped: counts.skipped + counts.pending,
+            totalAmount: job.wallets
+                .filter(w => w.status === 'success')
+                .reduce((sum, w) => sum + parseFloat(w.amount), 0),
+            mysteryXP: job.wallets.reduce((sum, w) => sum + (w.mysteryReward || 0), 0)
+        };
+    }
+
+    build(job) {
+        const rows = job.wallets.map((wallet, index) => csvRow([
+            index + 1,
+            wallet.address,
+            wallet.amount,
+            wallet.status,
+            wallet.hash,
+            wallet.attempts,
+            wallet.accountId,
+            wallet.error,
+            wallet.mysteryReward
+        ]));
+
+        const content = [
+            `# ${JSON.stringify(this.buildHeader(job))}`,
+            CSV_COLUMNS.join(','),
+            ...rows
+        ].join('\n') + '\n';
+
+        return {
+            filename: `batch_${job.id}_${(job.finishedAt || job.createdAt).slice(0, 10)}.csv`,
+            content
+        };
+    }
+}
+
+export default new BatchReport();
@@ -0,0 +1,331 @@
+// File: services/batchRunner.js
+// Eksekusi batch transfer: sequential / concurrent, pacing adaptif, lane terpisah untuk mystery box
+
+import logger from '../utils/logger.js';
+import AdaptivePacer from './adaptivePacer.js';
+import transferService from './transferService.js';
+
+// Antrian sederhana satu-per-satu, supaya claim mystery box tidak menahan transfer
+class TaskLane {
+    constructor() {
+        this.tail = Promise.resolve();
+        this.pending = 0;
+    }
+
+    enqueue(task) {
+        this.pending++;
+        this.tail = this.tail
+            .then(task)
+            .catch(error => logger.debug(`Lane task failed: ${error.message}`))
+            .finally(() => { this.pending--; });
+        return this.tail;
+    }
+
+    drain() {
+        return this.tail;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class BatchRunner {
+    // transfer(wallet, index) harus mengembalikan outcome transferService.transferFromPool,
+    // atau { skipped: true } untuk menghentikan batch tanpa mencatat wallet tersebut.
+    // previousResults: entry hasil run sebelumnya (job yang dilanjutkan), wallet tersebut dilewati.
+    //   Entry dengan unknown: true (hasil tidak pasti) dihitung terpisah, bukan sukses / gagal.
+    // stopWhen(): true kalau batch sudah boleh berhenti (mis. target tier tercapai)
+    // refill(index): wallet berikutnya saat antrian habis (mode target tier), atau null kalau belum perlu;
+    //   batch berhenti kalau refill null tanpa transfer yang sedang jalan, atau setelah
+    //   maxConsecutiveFailures transfer gagal berturut-turut
+    constructor({
+        wallets,
+        transfer,
+        concurrency = 1,
+        pacer = null,
+        previousResults = [],
+        onTransferStart = null,
+        onResult = null,
+        stopWhen = null,
+        refill = null,
+        maxConsecutiveFailures = Infinity,
+        onProgress = null,
+        progressEvery = 10
+    }) {
+        this.wallets = wallets;
+        this.transfer = transfer;
+        this.pacer = pacer || new AdaptivePacer();
+        this.onTransferStart = onTransferStart;
+        this.onResult = onResult;
+        this.stopWhen = stopWhen;
+        this.refill = refill;
+        this.maxConsecutiveFailures = maxConsecutiveFailures;
+        this.onProgress = onProgress;
+        this.progressEvery = progressEvery;
+
+        this.results = wallets.map((_, i) => previousResults[i] || null);
+        this.queue = [];
+        this.mysteryLane = new TaskLane();
+        this.completed = 0;
+        this.success = 0;
+        this.failed = 0;
+        this.unknown = 0;
+        this.mysteryXP = 0;
+        this.mysteryCount = 0;
+        this.startedAt = null;
+        this.paused = false;
+        this.stopReason = null;
+        this.pauseWaiters = [];
+        this.inFlight = 0;
+        this.consecutiveFailures = 0;
+        this.slotWaiters = [];
+
+        this.results.forEach((entry, index) => {
+            if (!entry) {
+                this.queue.push(index);
+                return;
+            }
+            this.completed++;
+            if (entry.unknown) {
+                this.unknown++;
+            } else {
+                entry.success ? this.success++ : this.failed++;
+            }
+            if (entry.mysteryReward) {
+                this.mysteryXP += entry.mysteryReward;
+                this.mysteryCount++;
+            }
+        });
+
+        this.concurrency = refill
+            ? Math.max(1, concurrency)
+            : Math.max(1, Math.min(concurrency, this.queue.length || 1));
+    }
+
+    async run() {
+        this.startedAt = Date.now();
+
+        const workers = [];
+        for (let w = 0; w < this.concurrency; w++) {
+            workers.push(this.worker());
+        }
+
+        await Promise.all(workers);
+        await this.mysteryLane.drain();
+
+        return this.getSummary();
+    }
+
+    // Kontrol dari tombol progress, berlaku di antara wallet (transfer yang sedang jalan tetap selesai)
+    get cancelled() {
+        return this.stopReason === 'cancelled';
+    }
+
+    pause() {
+        if (this.stopReason) return false;
+        this.paused = true;
+        return true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.releasePauseWaiters();
+    }
+
+    cancel() {
+        this.stopReason = 'cancelled';
+        this.paused = false;
+        this.releasePauseWaiters();
+    }
+
+    releasePauseWaiters() {
+        const waiters = this.pauseWaiters;
+        this.pauseWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    async waitWhilePaused() {
+        while (this.paused) {
+            await new Promise(resolve => this.pauseWaiters.push(resolve));
+        }
+    }
+
+    releaseSlotWaiters() {
+        const waiters = this.slotWaiters;
+        this.slotWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    // Index berikutnya dari antrian; kalau habis, minta refill atau tunggu transfer yang sedang jalan selesai
+    async nextIndex() {
+        while (this.queue.length === 0) {
+            if (!this.refill || this.stopReason) return null;
+
+            if (this.consecutiveFailures >= this.maxConsecutiveFailures) {
+                this.stopReason = 'failures';
+                return null;
+            }
+
+            const wallet = this.refill(this.wallets.length);
+            if (wallet) {
+                this.wallets.push(wallet);
+                this.results.push(null);
+                this.queue.push(this.wallets.length - 1);
+                break;
+            }
+
+            if (this.inFlight === 0) return null;
+            await new Promise(resolve => this.slotWaiters.push(resolve));
+
+            if (this.stopWhen && this.stopWhen()) {
+                this.stopReason = 'target';
+                return null;
+            }
+        }
+        return this.queue.shift();
+    }
+
+    async worker() {
+        while (true) {
+            await this.waitWhilePaused();
+            if (this.stopReason) break;
+
+            if (this.stopWhen && this.stopWhen()) {
+                this.stopReason = 'target';
+                break;
+            }
+
+            const index = await this.nextIndex();
+            if (index === null || index === undefined) break;
+
+            let processed;
+            this.inFlight++;
+            try {
+                processed = await this.processWallet(index);
+            } finally {
+                this.inFlight--;
+                this.releaseSlotWaiters();
+            }
+            if (!processed) continue;
+
+            this.completed++;
+            if (this.onProgress && this.completed % this.progressEvery === 0 && this.completed < this.wallets.length) {
+                try {
+                    await this.onProgress(this.getProgress());
+                } catch (e) {}
+            }
+
+            if ((this.queue.length > 0 || this.refill) && !this.stopReason) {
+                await sleep(this.pacer.getDelay());
+            }
+        }
+    }
+
+    async processWallet(index) {
+        const wallet = this.wallets[index];
+        const total = this.wallets.length;
+        let outcome;
+
+        if (this.onTransferStart) this.onTransferStart(index);
+
+        try {
+            outcome = await this.transfer(wallet, index);
+        } catch (error) {
+            outcome = { success: false, result: { message: error.message }, attempts: 0, trace: [] };
+        }
+
+        if (outcome.skipped) {
+            this.queue.unshift(index);
+            this.stopReason = this.stopReason || 'target';
+            return false;
+        }
+
+        this.pacer.recordResult(outcome);
+
+        const entry = {
+            index,
+            address: wallet.address,
+            amount: wallet.amount,
+            success: Boolean(outcome.success),
+            hash: outcome.success ? outcome.result.data.transferData.hash : null,
+            attempts: outcome.attempts || 0,
+            accountId: outcome.account?.id || null,
+            error: outcome.success ? null : (outcome.result?.message || 'Unknown error'),
+            mysteryReward: null
+        };
+        this.results[index] = entry;
+        if (this.onResult) this.onResult(entry);
+
+        this.consecutiveFailures = entry.success ? 0 : this.consecutiveFailures + 1;
+
+        if (entry.success) {
+            this.success++;
+            if (entry.attempts > 1) {
+                logger.transfer(index + 1, total, 'success', `(${entry.attempts} attempts)`);
+            }
+            this.queueMysteryClaim(entry, outcome);
+        } else {
+            this.failed++;
+            logger.transfer(index + 1, total, 'failed', entry.error);
+        }
+
+        return true;
+    }
+
+    queueMysteryClaim(entry, outcome) {
+        if (!outcome.client) return;
+
+        this.mysteryLane.enqueue(async () => {
+            const mysteryResult = await transferService.claimMystery(outcome);
+            if (mysteryResult.success && mysteryResult.data.mysteryReward) {
+                entry.mysteryReward = mysteryResult.data.mysteryReward;
+                this.mysteryXP += mysteryResult.data.mysteryReward;
+                this.mysteryCount++;
+            }
+            await transferService.collectTweetContent(outcome);
+        });
+    }
+
+    getProgress() {
+        return {
+            completed: this.completed,
+            total: this.wallets.length,
+            success: this.success,
+            failed: this.failed,
+            concurrency: this.concurrency,
+            paused: this.paused,
+            pace: this.pacer.describe()
+        };
+    }
+
+    getSummary() {
+        const results = this.results.filter(Boolean);
+
+        return {
+            total: this.wallets.length,
+            success: this.success,
+            failed: this.failed,
+            unknown: this.unknown,
+            mysteryXP: this.mysteryXP,
+            mysteryCount: this.mysteryCount,
+            concurrency: this.concurrency,
+            cancelled: this.cancelled,
+            stopReason: this.stopReason,
+            skipped: this.queue.length,
+            skippedIndexes: [...this.queue],
+            durationMs: Date.now() - this.startedAt,
+            pace: this.pacer.describe(),
+            results,
+            failedWallets: results
+                .filter(r => !r.success && !r.unknown)
+                .map(r => ({
+                    idx: r.index + 1,
+                    address: r.address.slice(0, 10) + '...',
+                    error: r.error
+                }))
+        };
+    }
+}
+
+export default BatchRunner;
@@ -0,0 +1,172 @@
+// File: services/circuitBreaker.js
+// Circuit breaker untuk Diamante API (dipakai bersama batch, /single dan faucet user)
+
+import logger from '../utils/logger.js';
+
+export const STATES = {
+    CLOSED: 'CLOSED',
+    OPEN: 'OPEN',
+    HALF_OPEN: 'HALF_OPEN'
+};
+
+export class CircuitBreaker {
+    constructor(options = {}) {
+        this.name = options.name || 'breaker';
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeoutMs = options.resetTimeoutMs || 60000;
+        this.halfOpenMaxProbes = options.halfOpenMaxProbes || 1;
+        this.successThreshold = options.successThreshold || 1;
+
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.halfOpenSuccesses = 0;
+        this.probesInFlight = 0;
+        this.openedAt = null;
+        this.probeTimer = null;
+        this.waiters = [];
+        this.onStateChange = null;
+
+        this.stats = {
+            totalFailures: 0,
+            totalSuccesses: 0,
+            rejected: 0,
+            timesOpened: 0,
+            lastFailure: null
+        };
+    }
+
+    // Dipanggil sebelum request; false berarti request harus ditolak
+    tryAcquire() {
+        if (this.state === STATES.CLOSED) return true;
+
+        if (this.state === STATES.HALF_OPEN && this.probesInFlight < this.halfOpenMaxProbes) {
+            this.probesInFlight++;
+            return true;
+        }
+
+        this.stats.rejected++;
+        return false;
+    }
+
+    recordSuccess() {
+        this.stats.totalSuccesses++;
+
+        if (this.state === STATES.HALF_OPEN) {
+            this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+            this.halfOpenSuccesses++;
+            if (this.halfOpenSuccesses >= this.successThreshold) {
+                this.transition(STATES.CLOSED);
+            } else {
+                this.resolveWaiters();
+            }
+            return;
+        }
+
+        this.consecutiveFailures = 0;
+    }
+
+    recordFailure(reason = '') {
+        this.stats.totalFailures++;
+        this.stats.lastFailure = { reason, at: new Date().toISOString() };
+
+        if (this.state === STATES.HALF_OPEN) {
+            this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+            this.transition(STATES.OPEN);
+            return;
+        }
+
+        this.consecutiveFailures++;
+        if (this.state === STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold) {
+            this.transition(STATES.OPEN);
+        }
+    }
+
+    transition(state) {
+        if (this.state === state) return;
+
+        const previous = this.state;
+        this.state = state;
+
+        if (this.probeTimer) {
+            clearTimeout(this.probeTimer);
+            this.probeTimer = null;
+        }
+
+        if (state === STATES.OPEN) {
+            this.openedAt = Date.now();
+            this.stats.timesOpened++;
+            this.probeTimer = setTimeout(() => this.transition(STATES.HALF_OPEN), this.resetTimeoutMs);
+            logger.warn(`[${this.name}] Circuit breaker OPEN after ${this.consecutiveFailures} failures`);
+        } else if (state === STATES.HALF_OPEN) {
+            this.halfOpenSuccesses = 0;
+            this.probesInFlight = 0;
+            logger.info(`[${this.name}] Circuit breaker HALF_OPEN, probing...`);
+        } else {
+            this.consecutiveFailures = 0;
+            this.openedAt = null;
+            logger.info(`[${this.name}] Circuit breaker CLOSED`);
+        }
+
+        if (state !== STATES.OPEN) {
+            this.resolveWaiters();
+        }
+
+        if (this.onStateChange) {
+            this.onStateChange(state, previous, this.getStats());
+        }
+    }
+
+    isOpen() {
+        return this.state === STATES.OPEN;
+    }
+
+    getRemainingMs() {
+        if (this.state !== STATES.OPEN) return 0;
+        return Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+    }
+
+    // Sama dengan syarat tryAcquire: HALF_OPEN dengan slot probe penuh juga belum bisa dipakai
+    isAvailable() {
+        if (this.state === STATES.CLOSED) return true;
+        return this.state === STATES.HALF_OPEN && this.probesInFlight < this.halfOpenMaxProbes;
+    }
+
+    // Pekerjaan panjang (batch) menunggu di sini alih-alih menembak API yang sedang down
+    waitUntilAvailable() {
+        if (this.isAvailable()) return Promise.resolve();
+        return new Promise(resolve => this.waiters.push(resolve));
+    }
+
+    resolveWaiters() {
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    setOnStateChange(callback) {
+        this.onStateChange = callback;
+    }
+
+    reset() {
+        this.transition(STATES.CLOSED);
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            name: this.name,
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            failureThreshold: this.failureThreshold,
+            resetTimeoutMs: this.resetTimeoutMs,
+            remainingMs: this.getRemainingMs()
+        };
+    }
+}
+
+export default new CircuitBreaker({
+    name: 'diamante',
+    failureThreshold: parseInt(process.env.DIAMANTE_BREAKER_THRESHOLD || '5', 10),
+    resetTimeoutMs: parseInt(process.env.DIAMANTE_BREAKER_RESET_MS || '60000', 10),
+    halfOpenMaxProbes: parseInt(process.env.DIAMANTE_BREAKER_PROBES || '1', 10)
+});
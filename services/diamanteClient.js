@@ -0,0 +1,197 @@
+// File: services/diamanteClient.js
+// HTTP client untuk Diamante campaign API (campapi)
+
+import logger from '../utils/logger.js';
+import responseValidator from './diamanteSchemas.js';
+import diamanteBreaker from './circuitBreaker.js';
+
+const DEFAULT_BASE_URL = 'https://campapi.diamante.io/api/v1';
+
+const DEFAULT_HEADERS = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'application/json, text/plain, */*',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Origin': 'https://camp.diamante.io',
+    'Referer': 'https://camp.diamante.io/'
+};
+
+// Balasan API saat cookie access_token expired / tidak valid
+const AUTH_FAILURE_PATTERN = /unauthenticated|unauthori[sz]ed|jwt expired|invalid token|token expired|not authenticated/i;
+
+export class DiamanteApiError extends Error {
+    constructor(message, { category = 'UNKNOWN', status = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'DiamanteApiError';
+        this.category = category;
+        this.code = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// Retry-After bisa berupa detik atau HTTP date
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export class DiamanteClient {
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || process.env.DIAMANTE_API_BASE || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.accessToken = options.accessToken || null;
+        this.userId = options.userId || null;
+        this.headers = { ...DEFAULT_HEADERS, ...(options.headers || {}) };
+        this.breaker = options.breaker || diamanteBreaker;
+    }
+
+    isConfigured() {
+        return Boolean(this.accessToken && this.userId);
+    }
+
+    setCredentials({ accessToken, userId } = {}) {
+        if (accessToken) this.accessToken = accessToken;
+        if (userId) this.userId = userId;
+    }
+
+    buildHeaders() {
+        return {
+            ...this.headers,
+            'Cookie': `access_token=${this.accessToken}`
+        };
+    }
+
+    async request(method, path, body = null) {
+        const options = {
+            method,
+            headers: this.buildHeaders()
+        };
+
+        if (body !== null) {
+            options.body = JSON.stringify(body);
+        }
+
+        if (!this.breaker.tryAcquire()) {
+            throw new DiamanteApiError('Diamante API temporarily unavailable', {
+                category: 'CIRCUIT_OPEN',
+                retryAfterMs: this.breaker.getRemainingMs()
+            });
+        }
+
+        logger.debug(`Diamante API ${method} ${path}`);
+
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${path}`, options);
+        } catch (error) {
+            this.breaker.recordFailure(error.message);
+            throw error;
+        }
+
+        // Hanya gangguan server/jaringan yang membuka breaker; rate limit & error bisnis tidak
+        if (response.status >= 500) {
+            this.breaker.recordFailure(`HTTP ${response.status} ${path}`);
+        } else {
+            this.breaker.recordSuccess();
+        }
+
+        return response;
+    }
+
+    // Semua balasan lewat sini: cek auth, format JSON, lalu schema per endpoint.
+    // Hasil diberi meta { status, retryAfterMs } untuk retry policy
+    async parseJson(response, endpoint) {
+        const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+
+        if (response.status === 401 || response.status === 403) {
+            throw new DiamanteApiError(`Unauthenticated (HTTP ${response.status})`, {
+                category: 'AUTH',
+                status: response.status
+            });
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (!contentType.includes('application/json')) {
+            responseValidator.recordMismatch(endpoint, [`content-type: ${contentType || 'none'}`]);
+            throw new DiamanteApiError(`Invalid response format (HTTP ${response.status})`, {
+                category: 'SCHEMA',
+                status: response.status,
+                retryAfterMs
+            });
+        }
+
+        let payload;
+        try {
+            payload = await response.json();
+        } catch (error) {
+            responseValidator.recordMismatch(endpoint, [`body: ${error.message}`]);
+            throw new DiamanteApiError(`Invalid JSON response (HTTP ${response.status})`, {
+                category: 'SCHEMA',
+                status: response.status,
+                retryAfterMs
+            });
+        }
+
+        if (payload?.success === false && AUTH_FAILURE_PATTERN.test(payload.message || '')) {
+            throw new DiamanteApiError(payload.message, { category: 'AUTH', status: response.status });
+        }
+
+        const { valid, value, errors } = responseValidator.validate(endpoint, payload);
+        if (!valid) {
+            throw new DiamanteApiError(`Unexpected ${endpoint} response: ${errors[0]}`, {
+                category: 'SCHEMA',
+                status: response.status
+            });
+        }
+
+        return { ...value, meta: { status: response.status, retryAfterMs } };
+    }
+
+    // Endpoint sekunder (mystery, tweet) tidak boleh melempar error ke batch loop
+    async safeJson(method, path, endpoint) {
+        try {
+            const response = await this.request(method, path);
+
+            if (!response.ok && response.status !== 401 && response.status !== 403) {
+                return { success: false, message: `API Error: ${response.status}` };
+            }
+
+            return await this.parseJson(response, endpoint);
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    async getBalance() {
+        const response = await this.request('GET', `/transaction/get-balance/${this.userId}`);
+        return this.parseJson(response, 'getBalance');
+    }
+
+    async claimFaucet() {
+        const response = await this.request('GET', `/transaction/fund-wallet/${this.userId}`);
+        return this.parseJson(response, 'claimFaucet');
+    }
+
+    async claimMysteryBox() {
+        return this.safeJson('POST', `/mystery/claim/${this.userId}`, 'claimMysteryBox');
+    }
+
+    async getTweetContent() {
+        return this.safeJson('GET', `/transaction/tweet-content/${this.userId}`, 'getTweetContent');
+    }
+
+    async transfer(toAddress, amount) {
+        const response = await this.request('POST', '/transaction/transfer', {
+            toAddress,
+            amount,
+            userId: this.userId
+        });
+        return this.parseJson(response, 'transfer');
+    }
+}
+
+export default DiamanteClient;
@@ -0,0 +1,201 @@
+// File: services/diamanteSchemas.js
+// Schema respon tiap endpoint Diamante API + validator terpusat
+
+import logger from '../utils/logger.js';
+
+// Tipe: string, number, numeric (number atau string angka), boolean, object, any
+// Field dengan optional: true boleh tidak ada / null
+const failureEnvelope = {
+    type: 'object',
+    properties: {
+        success: { type: 'boolean' },
+        message: { type: 'string', optional: true },
+        data: { type: 'any', optional: true }
+    }
+};
+
+export const SCHEMAS = {
+    getBalance: {
+        success: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                data: {
+                    type: 'object',
+                    properties: {
+                        address: { type: 'string' },
+                        balance: { type: 'numeric' }
+                    }
+                }
+            }
+        },
+        failure: failureEnvelope
+    },
+    claimFaucet: {
+        success: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                data: { type: 'any', optional: true }
+            }
+        },
+        failure: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                message: { type: 'string', optional: true },
+                data: {
+                    type: 'object',
+                    optional: true,
+                    properties: {
+                        nextEligibleAt: { type: 'any', optional: true }
+                    }
+                }
+            }
+        }
+    },
+    transfer: {
+        success: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                data: {
+                    type: 'object',
+                    properties: {
+                        transferData: {
+                            type: 'object',
+                            properties: {
+                                hash: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        failure: failureEnvelope
+    },
+    claimMysteryBox: {
+        success: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                data: {
+                    type: 'object',
+                    properties: {
+                        mysteryReward: { type: 'numeric', optional: true },
+                        rewardType: { type: 'string', optional: true }
+                    }
+                }
+            }
+        },
+        failure: failureEnvelope
+    },
+    getTweetContent: {
+        success: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                data: { type: 'any', optional: true }
+            }
+        },
+        failure: failureEnvelope
+    }
+};
+
+function typeMatches(type, value) {
+    switch (type) {
+        case 'any': return true;
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && !isNaN(value);
+        case 'numeric': return (typeof value === 'number' && !isNaN(value)) ||
+            (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+        case 'boolean': return typeof value === 'boolean';
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return false;
+    }
+}
+
+function validateNode(schema, value, path, errors) {
+    if (value === undefined || value === null) {
+        if (!schema.optional) errors.push(`${path}: missing`);
+        return;
+    }
+
+    if (!typeMatches(schema.type, value)) {
+        errors.push(`${path}: expected ${schema.type}, got ${Array.isArray(value) ? 'array' : typeof value}`);
+        return;
+    }
+
+    if (schema.type === 'object' && schema.properties) {
+        for (const [key, child] of Object.entries(schema.properties)) {
+            validateNode(child, value[key], `${path}.${key}`, errors);
+        }
+    }
+}
+
+// Angka dalam bentuk string dikonversi supaya handler selalu dapat number
+function normalize(schema, value) {
+    if (value === undefined || value === null) return value;
+    if (schema.type === 'numeric') return Number(value);
+    if (schema.type === 'object' && schema.properties) {
+        const result = { ...value };
+        for (const [key, child] of Object.entries(schema.properties)) {
+            if (key in result) result[key] = normalize(child, result[key]);
+        }
+        return result;
+    }
+    return value;
+}
+
+class ResponseValidator {
+    constructor() {
+        this.mismatches = 0;
+        this.byEndpoint = {};
+        this.lastMismatch = null;
+    }
+
+    validate(endpoint, payload) {
+        const schemas = SCHEMAS[endpoint];
+        if (!schemas) {
+            throw new Error(`No schema declared for endpoint: ${endpoint}`);
+        }
+
+        const errors = [];
+
+        if (!typeMatches('object', payload) || typeof payload.success !== 'boolean') {
+            errors.push('response: expected object with boolean "success"');
+        } else {
+            const schema = payload.success ? schemas.success : schemas.failure;
+            validateNode(schema, payload, 'response', errors);
+
+            if (errors.length === 0) {
+                return { valid: true, value: normalize(schema, payload), errors };
+            }
+        }
+
+        this.recordMismatch(endpoint, errors);
+        return { valid: false, value: null, errors };
+    }
+
+    recordMismatch(endpoint, errors) {
+        this.mismatches++;
+        this.byEndpoint[endpoint] = (this.byEndpoint[endpoint] || 0) + 1;
+        this.lastMismatch = {
+            endpoint,
+            errors: errors.slice(0, 5),
+            at: new Date().toISOString()
+        };
+
+        logger.warn(`Schema mismatch on ${endpoint}: ${errors.slice(0, 3).join('; ')}`);
+    }
+
+    getStats() {
+        return {
+            total: this.mismatches,
+            byEndpoint: { ...this.byEndpoint },
+            lastMismatch: this.lastMismatch
+        };
+    }
+}
+
+export default new ResponseValidator();
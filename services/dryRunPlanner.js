@@ -0,0 +1,67 @@
+// File: services/dryRunPlanner.js
+// Simulasi batch / single transfer tanpa memanggil API transfer (validasi, duplikat, saldo, estimasi durasi)
+
+import validationHelper from '../utils/validationHelper.js';
+import accountPool from './accountPool.js';
+import AdaptivePacer from './adaptivePacer.js';
+
+class DryRunPlanner {
+    findDuplicates(wallets) {
+        const counts = new Map();
+        for (const wallet of wallets) {
+            const key = wallet.address.toLowerCase();
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+
+        return Array.from(counts.entries())
+            .filter(([, count]) => count > 1)
+            .map(([address, count]) => ({ address, count }));
+    }
+
+    // Saldo terbaru semua akun aktif (getBalance dipanggil ulang, bukan cache)
+    async getBalances() {
+        const accounts = [];
+        for (const account of accountPool.getUsableAccounts()) {
+            const balance = await accountPool.refreshBalance(account, true);
+            accounts.push({ id: account.id, label: account.label, balance: typeof balance === 'number' ? balance : null });
+        }
+
+        return {
+            accounts,
+            total: accounts.reduce((sum, a) => sum + (a.balance || 0), 0),
+            known: accounts.some(a => a.balance !== null)
+        };
+    }
+
+    estimateDurationMs(count, concurrency = 1) {
+        const perWorker = Math.ceil(count / Math.max(1, concurrency));
+        return new AdaptivePacer().estimateDurationMs(perWorker);
+    }
+
+    async planBatch(walletsRaw, { concurrency = 1, reserve = 0 } = {}) {
+        const validation = validationHelper.validateWallets(walletsRaw);
+        const wallets = validation.valid;
+        const totalAmount = wallets.reduce((sum, w) => sum + parseFloat(w.amount), 0);
+        const balances = await this.getBalances();
+
+        return {
+            total: walletsRaw.length,
+            valid: wallets.length,
+            invalid: validation.invalid,
+            duplicates: this.findDuplicates(wallets),
+            totalAmount,
+            balances,
+            reserve,
+            sufficient: balances.known && balances.total - reserve >= totalAmount,
+            shortfall: Math.max(0, totalAmount + reserve - balances.total),
+            concurrency: Math.max(1, Math.min(concurrency, wallets.length || 1)),
+            estimatedMs: this.estimateDurationMs(wallets.length, concurrency)
+        };
+    }
+
+    async planSingle(address, amount, options = {}) {
+        return this.planBatch([{ address, amount }], options);
+    }
+}
+
+export default new DryRunPlanner();
@@ -0,0 +1,59 @@
+// File: services/faucetService.js
+// Claim faucet untuk semua akun Diamante aktif
+
+import logger from '../utils/logger.js';
+import accountPool from './accountPool.js';
+
+class FaucetService {
+    async claimAll() {
+        const results = [];
+
+        for (const account of accountPool.getUsableAccounts()) {
+            const entry = { account, success: false, authExpired: false, nextEligibleAt: null, error: null };
+
+            try {
+                const result = await accountPool.getClient(account).claimFaucet();
+                entry.success = result.success;
+                entry.nextEligibleAt = result.data?.nextEligibleAt || null;
+            } catch (error) {
+                if (error.category === 'AUTH') {
+                    accountPool.markAuthFailed(account.id);
+                    entry.authExpired = true;
+                } else {
+                    entry.error = error.message;
+                    logger.warn(`Faucet claim failed for ${account.label}: ${error.message}`);
+                }
+            }
+
+            results.push(entry);
+        }
+
+        return results;
+    }
+
+    formatResults(results) {
+        let message = '';
+
+        for (const entry of results) {
+            message += `\n👛 *${entry.account.label}*\n`;
+
+            if (entry.authExpired) {
+                message += `🔑 Token expired\n`;
+            } else if (entry.success) {
+                message += `✅ Token berhasil di-claim!\n`;
+            } else if (entry.error) {
+                message += `❌ ${entry.error.replace(/[*_`\[]/g, '')}\n`;
+            } else {
+                message += `⏳ Faucet masih cooldown.\n`;
+                if (entry.nextEligibleAt) {
+                    const nextClaim = new Date(entry.nextEligibleAt);
+                    message += `⏰ Next claim: ${nextClaim.toLocaleString('id-ID')}\n`;
+                }
+            }
+        }
+
+        return message;
+    }
+}
+
+export default new FaucetService();
@@ -0,0 +1,271 @@
+// File: services/scheduler.js
+// Scheduler untuk batch transfer & claim faucet berulang (harian, tiap N jam, cron)
+
+import logger from '../utils/logger.js';
+import storage from '../utils/storage.js';
+import CronExpression from '../utils/cronExpression.js';
+
+const TASKS = {
+    batch: '🚀 Batch Transfer',
+    faucet: '🚰 Claim Faucet'
+};
+
+const TYPES = {
+    daily: 'Harian',
+    interval: 'Tiap N jam',
+    cron: 'Cron'
+};
+
+class Scheduler {
+    constructor() {
+        this.storageKey = 'schedules';
+        this.schedules = [];
+        this.executors = {};
+        this.running = new Set();
+        this.timer = null;
+        this.tickInterval = 30 * 1000;
+        this.initialized = false;
+    }
+
+    async init() {
+        if (this.initialized) return;
+
+        try {
+            const data = storage.read(this.storageKey);
+            if (data) {
+                this.schedules = data.schedules || [];
+            }
+
+            // Jadwal yang terlewat saat bot mati tidak dikejar, langsung ke jadwal berikutnya
+            const now = new Date();
+            for (const schedule of this.schedules) {
+                if (!schedule.nextRunAt || new Date(schedule.nextRunAt) <= now) {
+                    schedule.nextRunAt = this.computeNextRun(schedule, now);
+                }
+            }
+            this.save();
+
+            this.initialized = true;
+            logger.info(`Scheduler initialized with ${this.schedules.length} schedules`);
+        } catch (error) {
+            logger.error('Failed to initialize Scheduler:', error.message);
+            this.schedules = [];
+        }
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.tickInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // executor(schedule) menjalankan task dan mengembalikan ringkasan singkat untuk lastResult
+    setExecutor(task, executor) {
+        this.executors[task] = executor;
+    }
+
+    getTasks() {
+        return TASKS;
+    }
+
+    getTypes() {
+        return TYPES;
+    }
+
+    // Validasi input admin; kembalikan nilai yang sudah dinormalisasi atau lempar Error
+    parseSpec(type, input) {
+        const value = String(input).trim();
+
+        if (type === 'daily') {
+            const match = value.match(/^(\d{1,2})[:.](\d{2})$/);
+            const hours = match ? Number(match[1]) : NaN;
+            const minutes = match ? Number(match[2]) : NaN;
+            if (!match || hours > 23 || minutes > 59) {
+                throw new Error('Format jam harus HH:MM, contoh 07:30');
+            }
+            return `${String(hours).padStart(2, '0')}:${match[2]}`;
+        }
+
+        if (type === 'interval') {
+            const hours = Number(value);
+            if (!Number.isFinite(hours) || hours < 1 || hours > 168) {
+                throw new Error('Interval harus 1 - 168 jam');
+            }
+            return hours;
+        }
+
+        if (type === 'cron') {
+            let cron;
+            try {
+                cron = new CronExpression(value);
+            } catch (error) {
+                throw new Error(`Cron tidak valid: ${error.message}`);
+            }
+            // Valid per field tapi kombinasinya tidak pernah terjadi, mis. 0 0 31 2 * (31 Februari)
+            if (!cron.next(new Date())) {
+                throw new Error('Cron tidak valid: jadwal ini tidak akan pernah jalan');
+            }
+            return cron.expression;
+        }
+
+        throw new Error(`Tipe jadwal tidak dikenal: ${type}`);
+    }
+
+    computeNextRun(schedule, from = new Date()) {
+        if (schedule.type === 'daily') {
+            const [hours, minutes] = schedule.spec.split(':').map(Number);
+            const next = new Date(from.getTime());
+            next.setHours(hours, minutes, 0, 0);
+            if (next <= from) next.setDate(next.getDate() + 1);
+            return next.toISOString();
+        }
+
+        if (schedule.type === 'interval') {
+            const intervalMs = schedule.spec * 60 * 60 * 1000;
+            const anchor = new Date(schedule.lastRunAt || schedule.createdAt).getTime();
+            const elapsed = Math.max(0, from.getTime() - anchor);
+            const next = anchor + (Math.floor(elapsed / intervalMs) + 1) * intervalMs;
+            return new Date(next).toISOString();
+        }
+
+        const next = new CronExpression(schedule.spec).next(from);
+        return next ? next.toISOString() : null;
+    }
+
+    describe(schedule) {
+        if (schedule.type === 'daily') return `Setiap hari jam ${schedule.spec}`;
+        if (schedule.type === 'interval') return `Setiap ${schedule.spec} jam`;
+        return `Cron ${schedule.spec}`;
+    }
+
+    createSchedule({ task, type, spec, options = {}, admin }) {
+        if (!TASKS[task]) throw new Error(`Task tidak dikenal: ${task}`);
+
+        const schedule = {
+            id: Date.now().toString(36),
+            task,
+            type,
+            spec: this.parseSpec(type, spec),
+            options,
+            enabled: true,
+            createdBy: admin,
+            createdAt: new Date().toISOString(),
+            lastRunAt: null,
+            lastResult: null,
+            nextRunAt: null
+        };
+        schedule.nextRunAt = this.computeNextRun(schedule);
+
+        this.schedules.push(schedule);
+        this.save();
+
+        logger.info(`Schedule ${schedule.id} created: ${task} ${type} ${schedule.spec}`);
+        return schedule;
+    }
+
+    updateSpec(scheduleId, input) {
+        const schedule = this.getSchedule(scheduleId);
+        if (!schedule) return null;
+
+        schedule.spec = this.parseSpec(schedule.type, input);
+        schedule.nextRunAt = this.computeNextRun(schedule);
+        this.save();
+        return schedule;
+    }
+
+    setEnabled(scheduleId, enabled) {
+        const schedule = this.getSchedule(scheduleId);
+        if (!schedule) return null;
+
+        schedule.enabled = enabled;
+        if (enabled) schedule.nextRunAt = this.computeNextRun(schedule);
+        this.save();
+        return schedule;
+    }
+
+    deleteSchedule(scheduleId) {
+        const initialLength = this.schedules.length;
+        this.schedules = this.schedules.filter(s => s.id !== scheduleId);
+
+        if (this.schedules.length < initialLength) {
+            this.save();
+            return true;
+        }
+        return false;
+    }
+
+    getSchedule(scheduleId) {
+        return this.schedules.find(s => s.id === scheduleId) || null;
+    }
+
+    getSchedules() {
+        return this.schedules;
+    }
+
+    isRunning(scheduleId) {
+        return this.running.has(scheduleId);
+    }
+
+    async tick() {
+        const now = new Date();
+
+        for (const schedule of this.schedules) {
+            if (!schedule.enabled || !schedule.nextRunAt) continue;
+            if (new Date(schedule.nextRunAt) > now) continue;
+
+            schedule.nextRunAt = this.computeNextRun(schedule, now);
+            this.save();
+
+            // Run sebelumnya belum selesai (batch panjang): lewati, jangan tumpuk
+            if (this.running.has(schedule.id)) {
+                logger.warn(`Schedule ${schedule.id} still running, skipping this run`);
+                continue;
+            }
+
+            this.run(schedule);
+        }
+    }
+
+    async run(schedule) {
+        const executor = this.executors[schedule.task];
+        if (!executor) {
+            logger.warn(`No executor registered for ${schedule.task}`);
+            return null;
+        }
+
+        this.running.add(schedule.id);
+        schedule.lastRunAt = new Date().toISOString();
+        logger.info(`Running schedule ${schedule.id} (${schedule.task})`);
+
+        try {
+            schedule.lastResult = (await executor(schedule)) || {};
+        } catch (error) {
+            logger.error(`Schedule ${schedule.id} failed:`, error.message);
+            schedule.lastResult = { error: error.message };
+        } finally {
+            this.running.delete(schedule.id);
+            this.save();
+        }
+
+        return schedule.lastResult;
+    }
+
+    save() {
+        try {
+            storage.write(this.storageKey, {
+                schedules: this.schedules,
+                lastUpdated: new Date().toISOString()
+            });
+        } catch (error) {
+            logger.error('Failed to save schedules:', error.message);
+        }
+    }
+}
+
+export default new Scheduler();
@@ -0,0 +1,88 @@
+// File: services/tierTracker.js
+// Progress tier campaign Diamante per akun (dihitung dari transfer sukses yang tercatat di pool)
+
+import accountPool from './accountPool.js';
+
+export const TIERS = [
+    { key: 'bronze', name: 'Bronze', emoji: '🥉', txns: 100 },
+    { key: 'silver', name: 'Silver', emoji: '🥈', txns: 200 },
+    { key: 'gold', name: 'Gold', emoji: '🥇', txns: 300 },
+    { key: 'quantum', name: 'Quantum', emoji: '💎', txns: 500 }
+];
+
+class TierTracker {
+    // Transisi tier langsung disimpan, tidak ikut jeda debouncedSave pool
+    init() {
+        accountPool.setSaveMilestones(TIERS.map(t => t.txns));
+    }
+
+    getTiers() {
+        return TIERS;
+    }
+
+    getTier(key) {
+        return TIERS.find(t => t.key === key) || null;
+    }
+
+    getCount(account) {
+        return account.stats?.success || 0;
+    }
+
+    getCurrentTier(count) {
+        return [...TIERS].reverse().find(t => count >= t.txns) || null;
+    }
+
+    getNextTier(count) {
+        return TIERS.find(t => count < t.txns) || null;
+    }
+
+    progressBar(count, target, width = 10) {
+        const filled = Math.min(width, Math.floor((count / target) * width));
+        return '▓'.repeat(filled) + '░'.repeat(width - filled);
+    }
+
+    // Baris progress untuk view balance / analytics (tanpa markup, aman untuk Markdown & HTML)
+    describe(account) {
+        const count = this.getCount(account);
+        const current = this.getCurrentTier(count);
+        const next = this.getNextTier(count);
+
+        let text = `🏆 Tier: ${current ? `${current.emoji} ${current.name}` : '-'} (${count} tx)\n`;
+        if (next) {
+            text += `📈 ${next.emoji} ${next.name}: ${next.txns - count} tx lagi ${this.progressBar(count, next.txns)}\n`;
+        } else {
+            text += `✅ Semua tier tercapai\n`;
+        }
+        return text;
+    }
+
+    remaining(account, tierKey) {
+        const tier = this.getTier(tierKey);
+        return tier ? Math.max(0, tier.txns - this.getCount(account)) : 0;
+    }
+
+    // Masih butuh transfer setelah memperhitungkan transfer yang sedang berjalan
+    hasCapacity(account, tierKey) {
+        return this.remaining(account, tierKey) > accountPool.getInFlight(account.id);
+    }
+
+    // Akun aktif yang belum mencapai tier target
+    getAccountsBelow(tierKey) {
+        return accountPool.getUsableAccounts().filter(a => this.remaining(a, tierKey) > 0);
+    }
+
+    getNeededTransfers(tierKey) {
+        return this.getAccountsBelow(tierKey).reduce((sum, a) => sum + this.remaining(a, tierKey), 0);
+    }
+
+    hasReached(tierKey) {
+        return this.getAccountsBelow(tierKey).length === 0;
+    }
+
+    // Semua sisa transfer ke target sudah tercakup transfer yang sedang berjalan
+    isSaturated(tierKey) {
+        return !accountPool.getUsableAccounts().some(a => this.hasCapacity(a, tierKey));
+    }
+}
+
+export default new TierTracker();
@@ -0,0 +1,158 @@
+// File: services/transferJobManager.js
+// Antrian global transfer: satu job per akun Diamante, job lain menunggu giliran (FIFO)
+
+import logger from '../utils/logger.js';
+import accountPool from './accountPool.js';
+
+const KINDS = {
+    batch: '🚀 Batch',
+    schedule: '⏰ Batch terjadwal',
+    single: '⚡ Single',
+    user: '👤 Transfer user'
+};
+
+class TransferJobManager {
+    constructor() {
+        this.running = new Map();
+        this.queue = [];
+        this.locks = new Map();
+    }
+
+    getKinds() {
+        return KINDS;
+    }
+
+    // scope 'all': kunci semua akun (batch), 'one': cukup satu akun yang bebas (single transfer).
+    // run(lease) dipanggil saat giliran tiba; onQueued(position) setiap posisi antrian berubah.
+    // Mengembalikan promise hasil run, atau { cancelled: true } kalau dibatalkan saat masih antri.
+    enqueue({ kind, label, owner, scope = 'all', onQueued = null, run }) {
+        const job = {
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2, 4),
+            kind,
+            label,
+            owner,
+            scope,
+            onQueued,
+            run,
+            queuedAt: new Date().toISOString(),
+            startedAt: null,
+            accountIds: [],
+            position: null
+        };
+
+        const promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+
+        this.queue.push(job);
+        this.pump();
+
+        if (!job.startedAt) {
+            logger.info(`Transfer job ${job.id} (${kind}) queued at position ${job.position}`);
+        }
+
+        return { id: job.id, promise };
+    }
+
+    // Akun yang bisa dikunci untuk job ini, atau null kalau harus menunggu
+    reserve(job) {
+        if (job.scope === 'one') {
+            const usable = accountPool.getUsableAccounts();
+            // Tidak ada akun aktif sama sekali: jalan saja, transfer akan gagal dengan pesan yang jelas
+            if (usable.length === 0) return [];
+
+            const free = usable.filter(a => !this.locks.has(a.id));
+            if (free.length === 0) return null;
+
+            // Akun bebas yang paling lama tidak dipakai
+            const lastUsed = (a) => (a.stats?.lastUsedAt ? new Date(a.stats.lastUsedAt).getTime() : 0);
+            const account = free.reduce((best, a) => (lastUsed(a) < lastUsed(best) ? a : best));
+            return [account.id];
+        }
+
+        const ids = accountPool.getAccounts().map(a => a.id);
+        return ids.some(id => this.locks.has(id)) ? null : ids;
+    }
+
+    // FIFO ketat: job di depan yang belum bisa jalan menahan job di belakangnya
+    pump() {
+        while (this.queue.length > 0) {
+            const job = this.queue[0];
+            const accountIds = this.reserve(job);
+            if (!accountIds) break;
+
+            this.queue.shift();
+            this.start(job, accountIds);
+        }
+
+        this.queue.forEach((job, index) => {
+            const position = index + 1;
+            if (job.position === position) return;
+
+            job.position = position;
+            if (job.onQueued) {
+                Promise.resolve(job.onQueued(position)).catch(() => {});
+            }
+        });
+    }
+
+    start(job, accountIds) {
+        job.startedAt = new Date().toISOString();
+        job.accountIds = accountIds;
+        job.position = null;
+        accountIds.forEach(id => this.locks.set(id, job.id));
+        this.running.set(job.id, job);
+
+        logger.info(`Transfer job ${job.id} (${job.kind}) started on ${accountIds.join(', ') || 'no account'}`);
+
+        const lease = {
+            accountIds,
+            // Untuk transferFromPool: hanya akun milik job ini
+            accountFilter: (account) => accountIds.includes(account.id)
+        };
+
+        Promise.resolve()
+            .then(() => job.run(lease))
+            .then(job.resolve, job.reject)
+            .finally(() => this.finish(job));
+    }
+
+    finish(job) {
+        job.accountIds.forEach(id => {
+            if (this.locks.get(id) === job.id) this.locks.delete(id);
+        });
+        this.running.delete(job.id);
+        this.pump();
+    }
+
+    cancel(jobId) {
+        const index = this.queue.findIndex(j => j.id === jobId);
+        if (index === -1) return false;
+
+        const [job] = this.queue.splice(index, 1);
+        job.resolve({ cancelled: true });
+        logger.info(`Transfer job ${job.id} removed from queue`);
+        this.pump();
+        return true;
+    }
+
+    getJob(jobId) {
+        return this.running.get(jobId) || this.queue.find(j => j.id === jobId) || null;
+    }
+
+    getRunning() {
+        return Array.from(this.running.values());
+    }
+
+    getQueued() {
+        return this.queue;
+    }
+
+    getPosition(jobId) {
+        const index = this.queue.findIndex(j => j.id === jobId);
+        return index === -1 ? null : index + 1;
+    }
+}
+
+export default new TransferJobManager();
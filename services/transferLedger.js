@@ -0,0 +1,173 @@
+// File: services/transferLedger.js
+// Ledger append-only semua transfer (satu JSON per baris) + export CSV / JSON untuk admin
+
+import logger from '../utils/logger.js';
+import storage from '../utils/storage.js';
+import { csvRow } from '../utils/csvHelper.js';
+
+const CSV_COLUMNS = [
+    'id', 'timestamp', 'source', 'jobId', 'accountId', 'accountLabel', 'to', 'amount',
+    'success', 'hash', 'attempts', 'error', 'triggeredByType', 'triggeredById', 'triggeredByName',
+    'mysteryReward', 'mysteryRewardType'
+];
+
+class TransferLedger {
+    constructor() {
+        this.storageKey = 'transfer_ledger';
+        this.initialized = false;
+    }
+
+    async init() {
+        if (this.initialized) return;
+
+        try {
+            this.initialized = true;
+            logger.info(`TransferLedger initialized (${storage.describe()})`);
+        } catch (error) {
+            logger.error('Failed to initialize TransferLedger:', error.message);
+        }
+    }
+
+    append(record) {
+        try {
+            storage.append(this.storageKey, record);
+        } catch (error) {
+            logger.error('Failed to append transfer ledger:', error.message);
+        }
+        return record;
+    }
+
+    // context: { source: 'batch' | 'single' | 'user' | 'schedule', jobId, walletIndex, triggeredBy: { type, id, name } }
+    recordTransfer({ account, to, amount, outcome, context = {} }) {
+        return this.append({
+            type: 'transfer',
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+            timestamp: new Date().toISOString(),
+            source: context.source || null,
+            jobId: context.jobId || null,
+            walletIndex: context.walletIndex ?? null,
+            accountId: account?.id || null,
+            accountLabel: account?.label || null,
+            to,
+            amount: parseFloat(amount),
+            success: Boolean(outcome.success),
+            hash: outcome.success ? outcome.result?.data?.transferData?.hash || null : null,
+            attempts: outcome.attempts || 0,
+            error: outcome.success ? null : (outcome.result?.message || 'Unknown error'),
+            triggeredBy: context.triggeredBy || null
+        });
+    }
+
+    // Reward mystery box datang setelah transfer, jadi dicatat sebagai baris terpisah yang merujuk transfer
+    recordMystery(transferId, reward, rewardType = 'XP', { accountId = null, to = null } = {}) {
+        return this.append({
+            type: 'mystery',
+            transferId,
+            timestamp: new Date().toISOString(),
+            accountId,
+            to,
+            reward,
+            rewardType
+        });
+    }
+
+    readAll() {
+        try {
+            return storage.readLog(this.storageKey);
+        } catch (error) {
+            logger.error('Failed to read transfer ledger:', error.message);
+            return [];
+        }
+    }
+
+    // Transfer (lama → baru) dengan reward mystery digabung ke transfer pemicunya
+    getTransfers({ from = null, to = null, address = null } = {}) {
+        const records = this.readAll();
+        const mystery = new Map();
+        for (const record of records) {
+            if (record.type === 'mystery') mystery.set(record.transferId, record);
+        }
+
+        const fromMs = from ? from.getTime() : -Infinity;
+        const toMs = to ? to.getTime() : Infinity;
+        const needle = address ? address.toLowerCase() : null;
+
+        return records
+            .filter(r => r.type === 'transfer')
+            .filter(r => {
+                const at = new Date(r.timestamp).getTime();
+                return at >= fromMs && at <= toMs;
+            })
+            .filter(r => !needle || r.to.toLowerCase() === needle)
+            .map(r => ({
+                ...r,
+                mysteryReward: mystery.get(r.id)?.reward ?? null,
+                mysteryRewardType: mystery.get(r.id)?.rewardType ?? null
+            }));
+    }
+
+    // Argumen /ledger: [csv|json] [YYYY-MM-DD dari] [YYYY-MM-DD sampai] [address]
+    parseFilters(args) {
+        const filters = { format: 'csv', from: null, to: null, address: null };
+        const dates = [];
+
+        for (const arg of args) {
+            const value = arg.toLowerCase();
+            if (value === 'csv' || value === 'json') {
+                filters.format = value;
+            } else if (/^\d{4}-\d{2}-\d{2}$/.test(arg)) {
+                const date = new Date(`${arg}T00:00:00`);
+                if (isNaN(date.getTime())) throw new Error(`Tanggal tidak valid: ${arg}`);
+                dates.push(date);
+            } else if (/^0x[a-f0-9]{40}$/.test(value)) {
+                filters.address = arg;
+            } else {
+                throw new Error(`Argumen tidak dikenal: ${arg}`);
+            }
+        }
+
+        if (dates.length > 2) throw new Error('Maksimal 2 tanggal (dari & sampai)');
+        if (dates[0]) filters.from = dates[0];
+        // Tanggal akhir inklusif sampai akhir hari
+        const end = dates[1] || dates[0];
+        if (end) filters.to = new Date(end.getTime() + 24 * 60 * 60 * 1000 - 1);
+        if (filters.from && filters.to && filters.from > filters.to) {
+            throw new Error('Tanggal awal harus sebelum tanggal akhir');
+        }
+
+        return filters;
+    }
+
+    toCsv(transfers) {
+        const rows = transfers.map(t => csvRow(CSV_COLUMNS.map(column => {
+            if (column.startsWith('triggeredBy')) {
+                return t.triggeredBy?.[column.replace('triggeredBy', '').toLowerCase()];
+            }
+            return t[column];
+        })));
+
+        return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+
+    toJson(transfers) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            count: transfers.length,
+            transfers: transfers.map(({ type, ...t }) => t)
+        }, null, 2);
+    }
+
+    // { filename, content, count } untuk dikirim sebagai dokumen Telegram
+    export(filters) {
+        const transfers = this.getTransfers(filters);
+        const stamp = new Date().toISOString().slice(0, 10);
+
+        return {
+            filename: `transfer_ledger_${stamp}.${filters.format}`,
+            content: filters.format === 'json' ? this.toJson(transfers) : this.toCsv(transfers),
+            count: transfers.length
+        };
+    }
+}
+
+export default new TransferLedger();
@@ -0,0 +1,76 @@
+// File: services/transferRetryPolicy.js
+// Policy retry untuk endpoint transfer Diamante
+
+import RetryPolicy from '../utils/retryPolicy.js';
+
+const transferRetryPolicy = new RetryPolicy({
+    name: 'transfer',
+    maxAttempts: parseInt(process.env.TRANSFER_MAX_ATTEMPTS || '7', 10),
+    maxElapsedMs: parseInt(process.env.TRANSFER_MAX_ELAPSED_MS || String(10 * 60 * 1000), 10),
+    rules: [
+        {
+            name: 'auth',
+            label: 'Token expired',
+            match: { category: 'AUTH' },
+            retry: false
+        },
+        {
+            // Breaker terbuka: pemanggil yang memutuskan menunggu atau menolak
+            name: 'circuit_open',
+            label: 'API tidak tersedia',
+            match: { category: 'CIRCUIT_OPEN' },
+            retry: false
+        },
+        {
+            // Payload aneh dari respon non-5xx: transfer mungkin sudah terkirim, jangan diulang
+            name: 'schema',
+            label: 'Respon tidak dikenali',
+            match: { category: 'SCHEMA', statusBelow: 500 },
+            retry: false
+        },
+        {
+            name: 'rate_limit',
+            label: 'Rate limit',
+            match: { status: [429] },
+            backoff: { curve: 'linear', baseMs: 15000, maxMs: 120000, jitterMs: 2000 }
+        },
+        {
+            name: 'rate_limit',
+            label: 'Rate limit',
+            match: { pattern: /rate limit/i },
+            backoff: { curve: 'linear', baseMs: 15000, maxMs: 120000, jitterMs: 2000 }
+        },
+        {
+            name: 'database',
+            label: 'Database error',
+            match: { pattern: /internal database error/i },
+            backoff: { curve: 'linear', baseMs: 12000, maxMs: 90000, jitterMs: 2000 }
+        },
+        {
+            name: 'syncing',
+            label: 'Network syncing',
+            match: { pattern: /network guardians|syncing/i },
+            backoff: { curve: 'linear', baseMs: 10000, maxMs: 90000, jitterMs: 2000 }
+        },
+        {
+            name: 'timeout',
+            label: 'Timeout',
+            match: { pattern: /timeout|timed out/i },
+            backoff: { curve: 'linear', baseMs: 5000, maxMs: 60000, jitterMs: 2000 }
+        },
+        {
+            name: 'server_error',
+            label: 'Server error',
+            match: { statusAtLeast: 500 },
+            backoff: { curve: 'exponential', baseMs: 5000, maxMs: 60000, jitterMs: 2000 }
+        },
+        {
+            name: 'network',
+            label: 'Network error',
+            match: { thrown: true },
+            backoff: { curve: 'linear', baseMs: 2000, maxMs: 30000 }
+        }
+    ]
+});
+
+export default transferRetryPolicy;
@@ -0,0 +1,122 @@
+// File: services/transferService.js
+// Transfer DIAM lewat pool akun: retry policy, pause saat token expired / API down
+
+import errorHandler from '../utils/errorHandler.js';
+import analyticsHelper from '../utils/analyticsHelper.js';
+import RetryPolicy from '../utils/retryPolicy.js';
+import accountPool from './accountPool.js';
+import diamanteBreaker from './circuitBreaker.js';
+import transferRetryPolicy from './transferRetryPolicy.js';
+import transferLedger from './transferLedger.js';
+import tweetContentStore from './tweetContentStore.js';
+
+class TransferService {
+    async transferWithRetry(client, toAddress, amount) {
+        const outcome = await transferRetryPolicy.execute(() => client.transfer(toAddress, amount));
+        const { success, attempts, trace } = outcome;
+
+        if (outcome.error?.category === 'AUTH') {
+            return { success: false, result: { message: outcome.error.message }, attempts, trace, authFailed: true };
+        }
+
+        if (outcome.error?.category === 'CIRCUIT_OPEN') {
+            const message = errorHandler.getUserFriendlyMessage('CIRCUIT_OPEN');
+            return { success: false, result: { message }, attempts, trace, circuitOpen: true };
+        }
+
+        analyticsHelper.trackTransfer(success, amount);
+
+        return {
+            success,
+            result: outcome.result || { message: outcome.error?.message },
+            attempts,
+            trace
+        };
+    }
+
+    // wait: jeda (bukan gagal) saat semua token expired atau breaker API terbuka,
+    // lanjut otomatis setelah token dirotasi / API pulih.
+    // context: sumber & pemicu transfer untuk ledger (lihat transferLedger.recordTransfer)
+    async transferFromPool(toAddress, amount, { wait = false, onPause = null, perAccountCap = Infinity, accountFilter = null, context = {} } = {}) {
+        const outcome = await this.sendFromPool(toAddress, amount, { wait, onPause, perAccountCap, accountFilter });
+        const record = transferLedger.recordTransfer({ account: outcome.account, to: toAddress, amount, outcome, context });
+        return { ...outcome, to: toAddress, ledgerId: record.id };
+    }
+
+    async sendFromPool(toAddress, amount, { wait, onPause, perAccountCap, accountFilter }) {
+        while (true) {
+            if (wait && accountPool.isPausedForAuth()) {
+                if (onPause) await onPause('auth');
+                await accountPool.waitForUsable();
+            }
+
+            if (wait && !diamanteBreaker.isAvailable()) {
+                if (onPause) await onPause('circuit');
+                await diamanteBreaker.waitUntilAvailable();
+            }
+
+            const account = await accountPool.acquireAccount(accountPool.strategy, perAccountCap, accountFilter);
+            if (!account) {
+                return { success: false, result: { message: 'Tidak ada akun Diamante aktif' }, attempts: 0, trace: [], account: null, client: null };
+            }
+
+            const client = accountPool.getClient(account);
+            let outcome;
+            try {
+                outcome = await this.transferWithRetry(client, toAddress, amount);
+            } finally {
+                accountPool.releaseAccount(account.id);
+            }
+
+            if (outcome.authFailed) {
+                accountPool.markAuthFailed(account.id);
+                if (wait || accountPool.hasAccounts()) continue;
+                return { ...outcome, account, client };
+            }
+
+            // Selalu tunggu breaker sebelum ulang, jangan berputar terus di HALF_OPEN yang slot probenya penuh
+            if (outcome.circuitOpen) {
+                if (!wait) return { ...outcome, account, client };
+                if (onPause && !diamanteBreaker.isAvailable()) await onPause('circuit');
+                await diamanteBreaker.waitUntilAvailable();
+                continue;
+            }
+
+            accountPool.recordResult(account.id, outcome.success, amount);
+            return { ...outcome, account, client };
+        }
+    }
+
+    // Claim mystery box setelah transfer sukses, reward dicatat ke ledger transfer pemicunya
+    // dan diagregasi ke analytics (per hari & per tipe reward)
+    async claimMystery(outcome) {
+        const mysteryResult = await outcome.client.claimMysteryBox();
+        if (!mysteryResult.success) return mysteryResult;
+
+        // Box kosong bisa datang tanpa mysteryReward: dianggap 0 dan tidak dicatat
+        const reward = Number(mysteryResult.data.mysteryReward ?? 0);
+        mysteryResult.data.mysteryReward = reward;
+        if (reward) {
+            const rewardType = mysteryResult.data.rewardType || 'XP';
+            transferLedger.recordMystery(outcome.ledgerId, reward, rewardType, {
+                accountId: outcome.account?.id || null,
+                to: outcome.to || null
+            });
+            analyticsHelper.trackMystery(reward, rewardType);
+        }
+        return mysteryResult;
+    }
+
+    // Konten tweet untuk task X, disimpan per akun pengirim (lihat tweetContentStore)
+    async collectTweetContent(outcome) {
+        const tweetResult = await outcome.client.getTweetContent();
+        return tweetContentStore.collect(outcome.account, tweetResult);
+    }
+
+    formatRetryTrace(trace = []) {
+        const lines = RetryPolicy.formatTrace(trace);
+        return lines.length > 0 ? `🔁 Retry:\n${lines.map(l => `   ${l}`).join('\n')}\n` : '';
+    }
+}
+
+export default new TransferService();
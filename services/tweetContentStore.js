@@ -0,0 +1,163 @@
+// File: services/tweetContentStore.js
+// Konten tweet dari endpoint tweet-content per akun: dedupe teks dan status sudah diposting ke X
+
+import logger from '../utils/logger.js';
+import storage from '../utils/storage.js';
+
+const SHARE_URL = 'https://twitter.com/intent/tweet?text=';
+
+class TweetContentStore {
+    constructor() {
+        this.storageKey = 'tweet_content';
+        this.items = [];
+        this.maxItems = 200;
+        this.initialized = false;
+    }
+
+    async init() {
+        if (this.initialized) return;
+
+        try {
+            const data = storage.read(this.storageKey);
+            if (data) {
+                this.items = data.items || [];
+            }
+
+            this.initialized = true;
+            logger.info(`TweetContentStore initialized with ${this.getPending().length} pending tweets`);
+        } catch (error) {
+            logger.error('Failed to initialize TweetContentStore:', error.message);
+            this.items = [];
+        }
+    }
+
+    // Bentuk data endpoint tidak dijamin (schema: any), ambil teks dari field yang umum dipakai
+    extractText(data) {
+        if (typeof data === 'string') return data.trim() || null;
+        if (!data || typeof data !== 'object') return null;
+
+        for (const key of ['content', 'tweetContent', 'tweet', 'text']) {
+            const text = this.extractText(data[key]);
+            if (text) return text;
+        }
+        return null;
+    }
+
+    normalize(text) {
+        return text.replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    // Simpan hasil getTweetContent; teks yang sama untuk akun yang sama hanya dicatat sekali
+    collect(account, response) {
+        if (!account || !response?.success) return null;
+
+        const text = this.extractText(response.data);
+        if (!text) return null;
+
+        const key = this.normalize(text);
+        const now = new Date().toISOString();
+        const existing = this.items.find(i => i.accountId === account.id && this.normalize(i.text) === key);
+
+        if (existing) {
+            existing.lastSeenAt = now;
+            existing.seenCount++;
+            this.debouncedSave();
+            return existing;
+        }
+
+        const item = {
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2, 4),
+            accountId: account.id,
+            accountLabel: account.label,
+            text,
+            firstSeenAt: now,
+            lastSeenAt: now,
+            seenCount: 1,
+            postedAt: null,
+            postedBy: null
+        };
+
+        this.items.push(item);
+        this.prune();
+        this.save();
+        logger.info(`New tweet content collected for ${account.label}`);
+        return item;
+    }
+
+    getItem(id) {
+        return this.items.find(i => i.id === id) || null;
+    }
+
+    // Belum diposting, terbaru dulu
+    getPending(accountId = null) {
+        return this.items
+            .filter(i => !i.postedAt && (!accountId || i.accountId === accountId))
+            .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+    }
+
+    getLastPosted(accountId) {
+        return this.items
+            .filter(i => i.postedAt && i.accountId === accountId)
+            .sort((a, b) => b.postedAt.localeCompare(a.postedAt))[0] || null;
+    }
+
+    getAccountIds() {
+        return [...new Set(this.items.map(i => i.accountId))];
+    }
+
+    markPosted(id, admin) {
+        const item = this.getItem(id);
+        if (!item || item.postedAt) return item;
+
+        item.postedAt = new Date().toISOString();
+        item.postedBy = admin;
+        this.save();
+        return item;
+    }
+
+    shareUrl(text) {
+        return SHARE_URL + encodeURIComponent(text);
+    }
+
+    // Buang yang sudah diposting lebih dulu, baru yang paling lama tidak muncul lagi
+    prune() {
+        const excess = this.items.length - this.maxItems;
+        if (excess <= 0) return;
+
+        const drop = new Set(this.items
+            .slice()
+            .sort((a, b) => Number(!a.postedAt) - Number(!b.postedAt) || a.lastSeenAt.localeCompare(b.lastSeenAt))
+            .slice(0, excess)
+            .map(i => i.id));
+        this.items = this.items.filter(i => !drop.has(i.id));
+    }
+
+    save() {
+        try {
+            storage.write(this.storageKey, {
+                items: this.items,
+                lastUpdated: new Date().toISOString()
+            });
+        } catch (error) {
+            logger.error('Failed to save tweet content:', error.message);
+        }
+    }
+
+    // Konten yang sama muncul lagi tiap polling: cukup tulis sekali setelah reda
+    saveTimer = null;
+    debouncedSave() {
+        if (this.saveTimer) clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), 3000);
+    }
+
+    // Simpan sekarang, termasuk perubahan yang masih menunggu debouncedSave
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        return this.save();
+    }
+}
+
+export default new TweetContentStore();
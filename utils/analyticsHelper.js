@@ -1,12 +1,12 @@
 // File: utils/analyticsHelper.js
 // Analytics tracking untuk Diamante Bot
 
-import fs from 'fs';
 import logger from './logger.js';
+import storage from './storage.js';
 
 class AnalyticsHelper {
     constructor() {
-        this.dataFile = 'data/analytics.json';
+        this.storageKey = 'analytics';
         this.data = this.getDefaultData();
         this.initialized = false;
     }
@@ -37,6 +37,12 @@ class AnalyticsHelper {
                 totalReplies: 0,
                 avgResponseTime: 0
             },
+            mystery: {
+                totalClaims: 0,
+                lastClaim: null,
+                byType: {},
+                daily: {}
+            },
             daily: {},
             hourly: {}
         };
@@ -46,12 +52,8 @@ class AnalyticsHelper {
         if (this.initialized) return;
         
         try {
-            if (!fs.existsSync('data')) {
-                fs.mkdirSync('data', { recursive: true });
-            }
-            
-            if (fs.existsSync(this.dataFile)) {
-                const stored = JSON.parse(fs.readFileSync(this.dataFile, 'utf-8'));
+            const stored = storage.read(this.storageKey);
+            if (stored) {
                 this.data = { ...this.getDefaultData(), ...stored };
                 this.data.users.uniqueUsersToday = new Set(stored.users?.uniqueUsersToday || []);
             }
@@ -65,13 +67,12 @@ class AnalyticsHelper {
         }
     }
 
-    trackTransfer(success, amount = 0, mysteryXP = 0) {
+    trackTransfer(success, amount = 0) {
         this.data.transfers.total++;
         
         if (success) {
             this.data.transfers.success++;
             this.data.transfers.totalAmount += amount;
-            this.data.transfers.mysteryXP += mysteryXP;
         } else {
             this.data.transfers.failed++;
         }
@@ -81,6 +82,36 @@ class AnalyticsHelper {
         this.debouncedSave();
     }
 
+    // Reward mystery box datang setelah transfer sukses, jadi dicatat terpisah dari trackTransfer
+    trackMystery(reward, rewardType = 'XP') {
+        const amount = Number(reward) || 0;
+        const today = new Date().toISOString().split('T')[0];
+        const { mystery } = this.data;
+
+        mystery.totalClaims++;
+        mystery.lastClaim = new Date().toISOString();
+        this.addMystery(mystery.byType, rewardType, amount);
+
+        if (!mystery.daily[today]) {
+            mystery.daily[today] = {};
+        }
+        this.addMystery(mystery.daily[today], rewardType, amount);
+
+        if (rewardType === 'XP') {
+            this.data.transfers.mysteryXP += amount;
+        }
+
+        this.debouncedSave();
+    }
+
+    addMystery(bucket, rewardType, amount) {
+        if (!bucket[rewardType]) {
+            bucket[rewardType] = { count: 0, total: 0 };
+        }
+        bucket[rewardType].count++;
+        bucket[rewardType].total += amount;
+    }
+
     trackBroadcast(sent, failed) {
         this.data.broadcasts.total++;
         this.data.broadcasts.totalSent += sent;
@@ -160,6 +191,18 @@ class AnalyticsHelper {
         };
     }
 
+    getMysteryStats(days = 7) {
+        const { mystery } = this.data;
+        const dates = Object.keys(mystery.daily).sort().slice(-days);
+
+        return {
+            totalClaims: mystery.totalClaims,
+            lastClaim: mystery.lastClaim,
+            byType: mystery.byType,
+            daily: dates.map(date => ({ date, byType: mystery.daily[date] }))
+        };
+    }
+
     getBroadcastStats() {
         const { broadcasts } = this.data;
         const deliveryRate = broadcasts.totalSent > 0 
@@ -192,6 +235,7 @@ class AnalyticsHelper {
     getFullStats() {
         return {
             transfers: this.getTransferStats(),
+            mystery: this.getMysteryStats(),
             broadcasts: this.getBroadcastStats(),
             users: this.getUserStats(),
             liveChat: this.getLiveChatStats(),
@@ -233,6 +277,12 @@ class AnalyticsHelper {
             const toDelete = dates.slice(0, dates.length - 30);
             toDelete.forEach(date => delete this.data.daily[date]);
         }
+
+        const mysteryDates = Object.keys(this.data.mystery.daily).sort();
+        if (mysteryDates.length > 30) {
+            mysteryDates.slice(0, mysteryDates.length - 30)
+                .forEach(date => delete this.data.mystery.daily[date]);
+        }
         
         logger.info('Daily analytics metrics reset');
         this.save();
@@ -248,7 +298,7 @@ class AnalyticsHelper {
                 }
             };
             
-            fs.writeFileSync(this.dataFile, JSON.stringify(dataToSave, null, 2));
+            storage.write(this.storageKey, dataToSave);
         } catch (error) {
             logger.error('Failed to save analytics:', error.message);
         }
@@ -1,12 +1,12 @@
 // File: utils/auditLogger.js
 // Audit logging untuk admin actions di Diamante Bot
 
-import fs from 'fs';
 import logger from './logger.js';
+import storage from './storage.js';
 
 class AuditLogger {
     constructor() {
-        this.logFile = 'data/audit_log.json';
+        this.storageKey = 'audit_log';
         this.logs = [];
         this.maxLogs = 1000;
         this.initialized = false;
@@ -16,12 +16,8 @@ class AuditLogger {
         if (this.initialized) return;
         
         try {
-            if (!fs.existsSync('data')) {
-                fs.mkdirSync('data', { recursive: true });
-            }
-            
-            if (fs.existsSync(this.logFile)) {
-                const data = JSON.parse(fs.readFileSync(this.logFile, 'utf-8'));
+            const data = storage.read(this.storageKey);
+            if (data) {
                 this.logs = data.logs || [];
             }
             
@@ -62,7 +58,12 @@ class AuditLogger {
             totalWallets: stats.total,
             success: stats.success,
             failed: stats.failed,
-            mysteryXP: stats.mysteryXP || 0
+            mysteryXP: stats.mysteryXP || 0,
+            concurrency: stats.concurrency || 1,
+            cancelled: stats.cancelled || false,
+            skipped: stats.skipped || 0,
+            amountStrategy: stats.amountStrategy || null,
+            totalAmount: stats.totalAmount || 0
         });
     }
 
@@ -95,6 +96,66 @@ class AuditLogger {
         });
     }
 
+    logWalletImport(adminId, adminName, stats) {
+        return this.log('WALLET_IMPORT', adminId, adminName, stats);
+    }
+
+    logWalletTag(adminId, adminName, walletAddress, changes) {
+        return this.log('WALLET_TAG', adminId, adminName, {
+            wallet: walletAddress.slice(0, 10) + '...',
+            ...changes
+        });
+    }
+
+    logAccountAdd(adminId, adminName, accountId, label) {
+        return this.log('ACCOUNT_ADD', adminId, adminName, { accountId, label });
+    }
+
+    logAccountRemove(adminId, adminName, accountId) {
+        return this.log('ACCOUNT_REMOVE', adminId, adminName, { accountId });
+    }
+
+    logTokenRotation(adminId, adminName, accountId, label) {
+        return this.log('TOKEN_ROTATE', adminId, adminName, { accountId, label });
+    }
+
+    logScheduleCreate(adminId, adminName, schedule) {
+        return this.log('SCHEDULE_CREATE', adminId, adminName, {
+            scheduleId: schedule.id,
+            task: schedule.task,
+            type: schedule.type,
+            spec: schedule.spec
+        });
+    }
+
+    logScheduleUpdate(adminId, adminName, scheduleId, changes) {
+        return this.log('SCHEDULE_UPDATE', adminId, adminName, { scheduleId, ...changes });
+    }
+
+    logScheduleDelete(adminId, adminName, scheduleId) {
+        return this.log('SCHEDULE_DELETE', adminId, adminName, { scheduleId });
+    }
+
+    // Run otomatis dicatat atas nama admin pembuat jadwal
+    logScheduleRun(schedule, result) {
+        return this.log('SCHEDULE_RUN', schedule.createdBy.id, schedule.createdBy.name, {
+            scheduleId: schedule.id,
+            task: schedule.task,
+            ...result
+        });
+    }
+
+    logLedgerExport(adminId, adminName, filters) {
+        return this.log('LEDGER_EXPORT', adminId, adminName, filters);
+    }
+
+    logTweetPosted(adminId, adminName, item) {
+        return this.log('TWEET_POSTED', adminId, adminName, {
+            tweetId: item.id,
+            accountId: item.accountId
+        });
+    }
+
     logBlockUser(adminId, adminName, targetId) {
         return this.log('USER_BLOCK', adminId, adminName, { targetId });
     }
@@ -154,7 +215,7 @@ class AuditLogger {
                 lastUpdated: new Date().toISOString()
             };
             
-            fs.writeFileSync(this.logFile, JSON.stringify(data, null, 2));
+            storage.write(this.storageKey, data);
         } catch (error) {
             logger.error('Failed to save audit logs:', error.message);
         }
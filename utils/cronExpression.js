@@ -0,0 +1,128 @@
+// File: utils/cronExpression.js
+// Parser cron 5 field sederhana (menit jam tanggal bulan hari) untuk scheduler
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const MAX_ITERATIONS = 100000;
+
+function parseField(part, { name, min, max }) {
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+        const [rangePart, stepPart] = item.split('/');
+        const step = stepPart === undefined ? 1 : Number(stepPart);
+
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Step tidak valid di field ${name}: ${item}`);
+        }
+
+        let start;
+        let end;
+
+        if (rangePart === '*') {
+            start = min;
+            end = max;
+        } else if (rangePart.includes('-')) {
+            [start, end] = rangePart.split('-').map(Number);
+        } else {
+            start = Number(rangePart);
+            end = stepPart === undefined ? start : max;
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+            throw new Error(`Nilai tidak valid di field ${name}: ${item}`);
+        }
+
+        for (let v = start; v <= end; v += step) {
+            values.add(v);
+        }
+    }
+
+    return values;
+}
+
+export class CronExpression {
+    constructor(expression) {
+        const parts = String(expression).trim().split(/\s+/);
+        if (parts.length !== 5) {
+            throw new Error('Cron harus 5 field: menit jam tanggal bulan hari');
+        }
+
+        this.expression = parts.join(' ');
+        const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+        // 7 juga berarti Minggu
+        if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+        this.minute = minute;
+        this.hour = hour;
+        this.dayOfMonth = dayOfMonth;
+        this.month = month;
+        this.dayOfWeek = dayOfWeek;
+        this.dayOfMonthAny = parts[2] === '*';
+        this.dayOfWeekAny = parts[4] === '*';
+    }
+
+    static isValid(expression) {
+        try {
+            new CronExpression(expression);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Aturan cron standar: kalau tanggal dan hari dua-duanya dibatasi, cukup salah satu cocok
+    matchesDay(date) {
+        const domMatch = this.dayOfMonth.has(date.getDate());
+        const dowMatch = this.dayOfWeek.has(date.getDay());
+
+        if (this.dayOfMonthAny && this.dayOfWeekAny) return true;
+        if (this.dayOfMonthAny) return dowMatch;
+        if (this.dayOfWeekAny) return domMatch;
+        return domMatch || dowMatch;
+    }
+
+    // Waktu berikutnya (waktu lokal server) setelah `from`
+    next(from = new Date()) {
+        const date = new Date(from.getTime());
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            if (!this.month.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+                continue;
+            }
+
+            if (!this.matchesDay(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+                continue;
+            }
+
+            if (!this.hour.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+                continue;
+            }
+
+            if (!this.minute.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+                continue;
+            }
+
+            return date;
+        }
+
+        return null;
+    }
+}
+
+export default CronExpression;
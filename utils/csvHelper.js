@@ -0,0 +1,12 @@
+// File: utils/csvHelper.js
+// Helper CSV sederhana untuk export ledger & laporan batch
+
+export function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function csvRow(values) {
+    return values.map(csvValue).join(',');
+}
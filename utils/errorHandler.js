@@ -53,6 +53,8 @@ class ErrorHandler {
         const message = (error.message || '').toLowerCase();
         const code = error.code;
         
+        if (error.category) return error.category;
+        if (code === 401) return 'AUTH';
         if (message.includes('timeout') || message.includes('timed out') || message.includes('etimedout')) return 'TIMEOUT';
         if (message.includes('forbidden') || code === 403) return 'PERMISSION';
         if (message.includes('not found') || code === 404) return 'NOT_FOUND';
@@ -70,6 +72,9 @@ class ErrorHandler {
         const messages = {
             'TIMEOUT': '⏳ Koneksi timeout. Coba lagi.',
             'PERMISSION': '🚫 Tidak memiliki akses.',
+            'AUTH': '🔑 Token akun Diamante kedaluwarsa. Admin sudah diberi tahu.',
+            'SCHEMA': '📡 Respon API Diamante tidak dikenali. Coba lagi nanti.',
+            'CIRCUIT_OPEN': '🛠️ Layanan Diamante sedang tidak tersedia. Coba lagi beberapa menit lagi.',
             'NOT_FOUND': '🔍 Data tidak ditemukan.',
             'RATE_LIMIT': '⏳ Terlalu banyak request. Tunggu sebentar.',
             'MESSAGE_NOT_MODIFIED': null,
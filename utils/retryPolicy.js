@@ -0,0 +1,150 @@
+// File: utils/retryPolicy.js
+// Retry engine berbasis policy: klasifikasi error, kurva backoff, Retry-After, trace per attempt
+
+import logger from './logger.js';
+
+export const BACKOFF_CURVES = {
+    fixed: (baseMs) => baseMs,
+    linear: (baseMs, attempt) => baseMs * attempt,
+    exponential: (baseMs, attempt) => baseMs * Math.pow(2, attempt - 1)
+};
+
+export class RetryPolicy {
+    // rules: [{ name, label, match: { status, statusAtLeast, statusBelow, pattern, errorType, category, thrown }, retry, backoff }]
+    // Rule pertama yang cocok dipakai; outcome tanpa rule yang cocok tidak di-retry
+    constructor(options = {}) {
+        this.name = options.name || 'default';
+        this.maxAttempts = options.maxAttempts || 5;
+        this.maxElapsedMs = options.maxElapsedMs || 5 * 60 * 1000;
+        this.honorRetryAfter = options.honorRetryAfter !== false;
+        this.rules = options.rules || [];
+        this.sleep = options.sleep || ((ms) => new Promise(resolve => setTimeout(resolve, ms)));
+    }
+
+    // outcome: { result } untuk balasan API, { error } untuk exception
+    describe(outcome) {
+        if (outcome.error) {
+            return {
+                thrown: true,
+                message: outcome.error.message || '',
+                status: outcome.error.code ?? null,
+                category: outcome.error.category || null,
+                errorType: outcome.error.name || outcome.error.constructor?.name || 'Error',
+                retryAfterMs: outcome.error.retryAfterMs ?? null
+            };
+        }
+
+        return {
+            thrown: false,
+            message: outcome.result?.message || '',
+            status: outcome.result?.meta?.status ?? null,
+            category: null,
+            errorType: null,
+            retryAfterMs: outcome.result?.meta?.retryAfterMs ?? null
+        };
+    }
+
+    matches(match = {}, info) {
+        if (match.thrown !== undefined && match.thrown !== info.thrown) return false;
+        if (match.status && !match.status.includes(info.status)) return false;
+        if (match.statusAtLeast && !(info.status >= match.statusAtLeast)) return false;
+        if (match.statusBelow && info.status >= match.statusBelow) return false;
+        if (match.pattern && !match.pattern.test(info.message)) return false;
+        if (match.category && match.category !== info.category) return false;
+        if (match.errorType) {
+            const types = Array.isArray(match.errorType) ? match.errorType : [match.errorType];
+            if (!types.includes(info.errorType)) return false;
+        }
+        return true;
+    }
+
+    classify(outcome) {
+        const info = this.describe(outcome);
+        const rule = this.rules.find(r => this.matches(r.match, info)) || null;
+        return { rule, info };
+    }
+
+    computeDelay(rule, attempt, retryAfterMs = null) {
+        if (this.honorRetryAfter && rule.honorRetryAfter !== false && retryAfterMs !== null) {
+            return { delayMs: retryAfterMs, retryAfter: true };
+        }
+
+        const { curve = 'linear', baseMs = 1000, maxMs = Infinity, jitterMs = 0 } = rule.backoff || {};
+        const curveFn = BACKOFF_CURVES[curve] || BACKOFF_CURVES.linear;
+        const delayMs = Math.min(curveFn(baseMs, attempt), maxMs) + Math.floor(Math.random() * jitterMs);
+
+        return { delayMs, retryAfter: false };
+    }
+
+    async execute(fn, { isSuccess = (result) => Boolean(result?.success) } = {}) {
+        const startedAt = Date.now();
+        const trace = [];
+        let lastOutcome = null;
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            let outcome;
+            try {
+                outcome = { result: await fn(attempt) };
+            } catch (error) {
+                outcome = { error };
+            }
+            lastOutcome = outcome;
+
+            if (!outcome.error && isSuccess(outcome.result)) {
+                return { success: true, result: outcome.result, error: null, attempts: attempt, trace, elapsedMs: Date.now() - startedAt };
+            }
+
+            const { rule, info } = this.classify(outcome);
+            const entry = {
+                attempt,
+                at: new Date().toISOString(),
+                rule: rule?.name || 'unclassified',
+                label: rule?.label || rule?.name || 'Unclassified',
+                reason: info.message,
+                status: info.status,
+                delayMs: 0,
+                retryAfter: false,
+                final: true
+            };
+            trace.push(entry);
+
+            if (!rule || rule.retry === false || attempt === this.maxAttempts) break;
+
+            const { delayMs, retryAfter } = this.computeDelay(rule, attempt, info.retryAfterMs);
+            const elapsed = Date.now() - startedAt;
+
+            if (elapsed + delayMs > this.maxElapsedMs) {
+                entry.reason = `${entry.reason} (max elapsed ${Math.round(this.maxElapsedMs / 1000)}s)`;
+                break;
+            }
+
+            entry.delayMs = delayMs;
+            entry.retryAfter = retryAfter;
+            entry.final = false;
+
+            logger.debug(`[${this.name}] attempt ${attempt} ${entry.rule}, retry in ${delayMs}ms`);
+            await this.sleep(delayMs);
+        }
+
+        return {
+            success: false,
+            result: lastOutcome?.result || null,
+            error: lastOutcome?.error || null,
+            attempts: trace.length,
+            trace,
+            elapsedMs: Date.now() - startedAt
+        };
+    }
+
+    static formatTrace(trace) {
+        return trace
+            .filter(entry => !entry.final)
+            .map(entry => {
+                const status = entry.status ? ` (${entry.status})` : '';
+                const wait = `${(entry.delayMs / 1000).toFixed(1)}s${entry.retryAfter ? ' Retry-After' : ''}`;
+                return `${entry.attempt}. ${entry.label}${status} → tunggu ${wait}`;
+            });
+    }
+}
+
+export default RetryPolicy;
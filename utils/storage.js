@@ -0,0 +1,500 @@
+// File: utils/storage.js
+// Storage layer bersama: backend file JSON (default) atau SQLite embedded, dipilih lewat STORAGE_BACKEND
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import logger from './logger.js';
+
+const require = createRequire(import.meta.url);
+
+// Dokumen: satu nilai JSON utuh per key. Path = lokasi file untuk backend JSON.
+const DOCUMENTS = {
+    admins: 'admins.json',
+    wallets: 'wallets.json',
+    user_wallets: 'user_wallets.json',
+    users: 'data/users.json',
+    audit_log: 'data/audit_log.json',
+    analytics: 'data/analytics.json',
+    accounts: 'data/accounts.json',
+    batch_jobs: 'data/batch_jobs.json',
+    schedules: 'data/schedules.json',
+    tweet_content: 'data/tweet_content.json'
+};
+
+// Log append-only: satu record per baris (JSON Lines) / per row (SQLite)
+const LOGS = {
+    transfer_ledger: 'data/transfer_ledger.jsonl'
+};
+
+const BACKENDS = ['json', 'sqlite'];
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30 * 1000;
+const SLEEP = new Int32Array(new SharedArrayBuffer(4));
+
+function checkKey(registry, key) {
+    if (!registry[key]) throw new Error(`Storage key tidak dikenal: ${key}`);
+    return registry[key];
+}
+
+// Penulisan crash-safe: tulis ke file tmp + fsync lalu rename (atomic), satu penulis per file (lock),
+// backup bertimestamp yang dirotasi, dan file rusak dipulihkan dari backup valid terakhir
+class JsonFileBackend {
+    constructor({
+        backupDir = process.env.STORAGE_BACKUP_DIR || 'data/backups',
+        backupKeep = parseInt(process.env.STORAGE_BACKUP_KEEP || '5', 10),
+        backupIntervalMs = parseFloat(process.env.STORAGE_BACKUP_INTERVAL_MIN || '10') * 60 * 1000
+    } = {}) {
+        this.name = 'json';
+        this.recovered = [];
+        this.backupDir = backupDir;
+        this.backupKeep = backupKeep;
+        this.backupIntervalMs = backupIntervalMs;
+        this.lastBackupAt = new Map();
+    }
+
+    describe() {
+        return 'JSON file';
+    }
+
+    ensureDir(file) {
+        const dir = path.dirname(file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    }
+
+    has(key) {
+        return fs.existsSync(checkKey(DOCUMENTS, key));
+    }
+
+    read(key) {
+        const file = checkKey(DOCUMENTS, key);
+        if (!fs.existsSync(file)) {
+            // Sisa file rusak tanpa file asli: jangan dianggap "belum ada data" lalu ditimpa default
+            const corrupt = this.getCorruptFiles(key);
+            if (corrupt.length > 0) {
+                throw new Error(`${file} tidak ada tapi ada file rusak ${corrupt[corrupt.length - 1]}; pulihkan manual atau hapus file .corrupt-* dulu`);
+            }
+            return undefined;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf-8'));
+        } catch (error) {
+            return this.recover(key, error);
+        }
+    }
+
+    write(key, value) {
+        const file = checkKey(DOCUMENTS, key);
+        const content = JSON.stringify(value, null, 2);
+
+        this.ensureDir(file);
+        this.withLock(file, () => this.atomicWrite(file, content));
+        this.backup(key, content);
+    }
+
+    atomicWrite(file, content) {
+        const tmp = `${file}.${process.pid}.tmp`;
+        const fd = fs.openSync(tmp, 'w');
+        try {
+            fs.writeSync(fd, content);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmp, file);
+    }
+
+    // Write di proses ini sudah berurutan (semua sinkron); lock file menahan proses lain
+    // (mis. migrate:storage) supaya tidak menulis file yang sama bersamaan
+    withLock(file, fn) {
+        const lock = `${file}.lock`;
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+        while (true) {
+            try {
+                fs.closeSync(fs.openSync(lock, 'wx'));
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            // Lock sisa proses yang crash
+            try {
+                if (Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS) {
+                    fs.unlinkSync(lock);
+                    continue;
+                }
+            } catch (e) {
+                continue;
+            }
+
+            if (Date.now() > deadline) throw new Error(`Timeout menunggu lock ${lock}`);
+            Atomics.wait(SLEEP, 0, 0, 20);
+        }
+
+        try {
+            return fn();
+        } finally {
+            fs.rmSync(lock, { force: true });
+        }
+    }
+
+    getBackups(key) {
+        if (!fs.existsSync(this.backupDir)) return [];
+
+        // Timestamp ISO di nama file: urutan nama = urutan waktu (terbaru terakhir)
+        return fs.readdirSync(this.backupDir)
+            .filter(name => name.startsWith(`${key}.`) && name.endsWith('.json'))
+            .sort()
+            .map(name => path.join(this.backupDir, name));
+    }
+
+    // Konten yang baru ditulis pasti valid, jadi itu yang dijadikan backup (paling sering tiap interval)
+    backup(key, content) {
+        if (this.backupKeep <= 0) return;
+
+        const now = Date.now();
+        if (now - (this.lastBackupAt.get(key) || 0) < this.backupIntervalMs) return;
+        this.lastBackupAt.set(key, now);
+
+        try {
+            if (!fs.existsSync(this.backupDir)) {
+                fs.mkdirSync(this.backupDir, { recursive: true });
+            }
+
+            const stamp = new Date(now).toISOString().replace(/[:.]/g, '-');
+            this.atomicWrite(path.join(this.backupDir, `${key}.${stamp}.json`), content);
+
+            const backups = this.getBackups(key);
+            for (const old of backups.slice(0, Math.max(0, backups.length - this.backupKeep))) {
+                fs.rmSync(old, { force: true });
+            }
+        } catch (error) {
+            logger.error(`Failed to back up ${key}:`, error.message);
+        }
+    }
+
+    getCorruptFiles(key) {
+        const file = checkKey(DOCUMENTS, key);
+        const dir = path.dirname(file);
+        const prefix = `${path.basename(file)}.corrupt-`;
+        if (!fs.existsSync(dir)) return [];
+
+        return fs.readdirSync(dir)
+            .filter(name => name.startsWith(prefix))
+            .sort()
+            .map(name => path.join(dir, name));
+    }
+
+    // File rusak disalin (file asli tetap di tempat sampai ditimpa backup valid), jadi setelah restart
+    // key yang gagal dipulihkan tetap terbaca rusak, bukan kosong
+    recover(key, cause) {
+        const file = checkKey(DOCUMENTS, key);
+        const content = fs.readFileSync(file);
+        const previous = this.getCorruptFiles(key).pop();
+        let corruptFile = previous;
+
+        if (!previous || !content.equals(fs.readFileSync(previous))) {
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            corruptFile = `${file}.corrupt-${stamp}`;
+            fs.copyFileSync(file, corruptFile);
+        }
+        logger.error(`${file} rusak (${cause.message}), salinan disimpan sebagai ${corruptFile}`);
+
+        for (const backup of this.getBackups(key).reverse()) {
+            try {
+                const content = fs.readFileSync(backup, 'utf-8');
+                const value = JSON.parse(content);
+                this.withLock(file, () => this.atomicWrite(file, content));
+                logger.warn(`${file} dipulihkan dari backup ${backup}`);
+                this.recovered.push({ key, file, backup, corruptFile });
+                return value;
+            } catch (e) {
+                logger.warn(`Backup ${backup} juga tidak valid, coba yang lebih lama`);
+            }
+        }
+
+        this.recovered.push({ key, file, backup: null, corruptFile });
+        throw new Error(`${file} rusak dan tidak ada backup valid (salinan: ${corruptFile})`);
+    }
+
+    // Cek semua dokumen saat startup; kembalikan daftar file yang dipulihkan / gagal dipulihkan
+    verify() {
+        this.recovered = [];
+        for (const key of Object.keys(DOCUMENTS)) {
+            try {
+                this.read(key);
+            } catch (error) {
+                // File rusak sudah dicatat di this.recovered oleh recover(); selain itu (mis. hanya sisa
+                // .corrupt-*) dicatat di sini supaya key tetap dikunci
+                if (!this.recovered.some(r => r.key === key)) {
+                    this.recovered.push({ key, file: DOCUMENTS[key], backup: null, error: error.message });
+                }
+            }
+        }
+        return this.recovered;
+    }
+
+    append(key, record) {
+        const file = checkKey(LOGS, key);
+        this.ensureDir(file);
+        fs.appendFileSync(file, JSON.stringify(record) + '\n');
+    }
+
+    readLog(key) {
+        const file = checkKey(LOGS, key);
+        if (!fs.existsSync(file)) return [];
+
+        const records = [];
+        for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                records.push(JSON.parse(line));
+            } catch (e) {
+                logger.warn(`Skipping corrupt line in ${file}`);
+            }
+        }
+        return records;
+    }
+
+    replaceLog(key, records) {
+        const file = checkKey(LOGS, key);
+        this.ensureDir(file);
+        this.withLock(file, () => this.atomicWrite(file, records.map(r => JSON.stringify(r) + '\n').join('')));
+    }
+
+    close() {}
+}
+
+class SqliteBackend {
+    constructor(file) {
+        this.name = 'sqlite';
+        this.file = file;
+
+        const dir = path.dirname(file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        this.db = SqliteBackend.open(file);
+        this.db.exec(`
+            PRAGMA journal_mode = WAL;
+            CREATE TABLE IF NOT EXISTS documents (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS log_records (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                key TEXT NOT NULL,
+                record TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS log_records_key ON log_records (key, id);
+        `);
+
+        this.statements = {
+            get: this.db.prepare('SELECT value FROM documents WHERE key = ?'),
+            put: this.db.prepare(`
+                INSERT INTO documents (key, value, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+            `),
+            append: this.db.prepare('INSERT INTO log_records (key, record) VALUES (?, ?)'),
+            readLog: this.db.prepare('SELECT record FROM log_records WHERE key = ? ORDER BY id'),
+            clearLog: this.db.prepare('DELETE FROM log_records WHERE key = ?')
+        };
+    }
+
+    // Driver dimuat saat dipakai saja: better-sqlite3 (optionalDependency), lalu node:sqlite (Node 22.5+)
+    static open(file) {
+        try {
+            const Database = require('better-sqlite3');
+            return new Database(file);
+        } catch (error) {
+            if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        }
+
+        try {
+            const { DatabaseSync } = require('node:sqlite');
+            return new DatabaseSync(file);
+        } catch (error) {
+            throw new Error('Backend SQLite butuh paket better-sqlite3 (npm install better-sqlite3) atau Node.js 22.5+');
+        }
+    }
+
+    describe() {
+        return `SQLite (${this.file})`;
+    }
+
+    has(key) {
+        checkKey(DOCUMENTS, key);
+        return Boolean(this.statements.get.get(key));
+    }
+
+    read(key) {
+        checkKey(DOCUMENTS, key);
+        const row = this.statements.get.get(key);
+        return row ? JSON.parse(row.value) : undefined;
+    }
+
+    write(key, value) {
+        checkKey(DOCUMENTS, key);
+        this.statements.put.run(key, JSON.stringify(value), new Date().toISOString());
+    }
+
+    append(key, record) {
+        checkKey(LOGS, key);
+        this.statements.append.run(key, JSON.stringify(record));
+    }
+
+    readLog(key) {
+        checkKey(LOGS, key);
+        return this.statements.readLog.all(key).map(row => JSON.parse(row.record));
+    }
+
+    replaceLog(key, records) {
+        checkKey(LOGS, key);
+        this.transaction(() => {
+            this.statements.clearLog.run(key);
+            for (const record of records) {
+                this.statements.append.run(key, JSON.stringify(record));
+            }
+        });
+    }
+
+    // SQLite sudah atomic per transaksi (WAL); cukup cek integritas file database
+    verify() {
+        const rows = this.db.prepare('PRAGMA integrity_check').all();
+        const result = rows.map(row => Object.values(row)[0]).join('; ');
+        if (result === 'ok') return [];
+
+        logger.error(`SQLite integrity check gagal: ${result}`);
+        return [{ key: 'database', file: this.file, backup: null, error: result }];
+    }
+
+    // BEGIN/COMMIT manual supaya sama untuk better-sqlite3 dan node:sqlite
+    transaction(fn) {
+        this.db.exec('BEGIN');
+        try {
+            fn();
+            this.db.exec('COMMIT');
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+class Storage {
+    constructor() {
+        this.backend = null;
+        // key -> alasan; data yang gagal dipulihkan dikunci supaya nilai default tidak menimpa file asli
+        this.readOnly = new Map();
+    }
+
+    getBackends() {
+        return BACKENDS;
+    }
+
+    getDocumentKeys() {
+        return Object.keys(DOCUMENTS);
+    }
+
+    getLogKeys() {
+        return Object.keys(LOGS);
+    }
+
+    createBackend(name, { sqliteFile = process.env.STORAGE_SQLITE_FILE || 'data/bot.db' } = {}) {
+        if (name === 'json') return new JsonFileBackend();
+        if (name === 'sqlite') return new SqliteBackend(sqliteFile);
+        throw new Error(`Storage backend tidak dikenal: ${name} (pilih ${BACKENDS.join(' / ')})`);
+    }
+
+    // Backend dibuka saat pertama dipakai, setelah .env dimuat
+    getBackend() {
+        if (!this.backend) {
+            this.backend = this.createBackend((process.env.STORAGE_BACKEND || 'json').toLowerCase());
+            logger.info(`Storage backend: ${this.backend.describe()}`);
+        }
+        return this.backend;
+    }
+
+    describe() {
+        return this.getBackend().describe();
+    }
+
+    has(key) {
+        return this.getBackend().has(key);
+    }
+
+    verify() {
+        const recovered = this.getBackend().verify();
+        for (const item of recovered.filter(r => !r.backup)) {
+            const reason = item.error
+                ? `${item.file}: ${item.error}`
+                : `${item.file} rusak dan tidak ada backup valid (salinan: ${item.corruptFile})`;
+            // Integrity check SQLite gagal = seluruh database, bukan satu key
+            const keys = DOCUMENTS[item.key] ? [item.key] : this.getDocumentKeys();
+            keys.forEach(key => this.lock(key, reason));
+        }
+        return recovered;
+    }
+
+    // Dibuka lagi hanya lewat restart, setelah file diperbaiki / dikembalikan manual
+    lock(key, reason) {
+        if (this.readOnly.has(key)) return;
+        this.readOnly.set(key, reason);
+        logger.error(`Storage ${key} dikunci read-only: ${reason}`);
+    }
+
+    getReadOnlyKeys() {
+        return [...this.readOnly.keys()];
+    }
+
+    // Data rusak dipulihkan dari backup kalau ada; kalau tidak, dilempar sebagai error dan key dikunci
+    read(key, defaultValue = null) {
+        if (this.readOnly.has(key)) {
+            throw new Error(`Data ${key} dikunci read-only: ${this.readOnly.get(key)}`);
+        }
+
+        let value;
+        try {
+            value = this.getBackend().read(key);
+        } catch (error) {
+            this.lock(key, error.message);
+            throw error;
+        }
+        return value === undefined ? defaultValue : value;
+    }
+
+    write(key, value) {
+        if (this.readOnly.has(key)) {
+            throw new Error(`Penulisan ${key} ditolak, data dikunci read-only: ${this.readOnly.get(key)}`);
+        }
+        this.getBackend().write(key, value);
+    }
+
+    append(key, record) {
+        this.getBackend().append(key, record);
+    }
+
+    readLog(key) {
+        return this.getBackend().readLog(key);
+    }
+
+    close() {
+        if (this.backend) {
+            this.backend.close();
+            this.backend = null;
+        }
+    }
+}
+
+export default new Storage();
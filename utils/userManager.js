@@ -1,13 +1,13 @@
 // File: utils/userManager.js
 // User management untuk Diamante Auto Transfer Bot
 
-import fs from 'fs';
 import logger from './logger.js';
+import storage from './storage.js';
 
 class UserManager {
     constructor() {
         this.users = new Map();
-        this.dataFile = 'data/users.json';
+        this.storageKey = 'users';
         this.initialized = false;
     }
 
@@ -27,13 +27,8 @@ class UserManager {
 
     async loadUsers() {
         try {
-            if (!fs.existsSync('data')) {
-                fs.mkdirSync('data', { recursive: true });
-            }
-            
-            if (fs.existsSync(this.dataFile)) {
-                const data = JSON.parse(fs.readFileSync(this.dataFile, 'utf-8'));
-                
+            const data = storage.read(this.storageKey);
+            if (data) {
                 if (data.users) {
                     this.users = new Map(Object.entries(data.users));
                 }
@@ -57,7 +52,7 @@ class UserManager {
                 version: '1.0'
             };
             
-            fs.writeFileSync(this.dataFile, JSON.stringify(data, null, 2));
+            storage.write(this.storageKey, data);
             logger.debug('Users saved to storage');
         } catch (error) {
             logger.error('Error saving users:', error.message);
@@ -16,6 +16,27 @@ class ValidationHelper {
         return !isNaN(num) && num > 0 && num <= 1000000;
     }
 
+    // Tag grup wallet: huruf kecil, angka, - dan _
+    static parseTags(args) {
+        const tags = args.map(t => t.toLowerCase().replace(/^#/, ''));
+        const invalid = tags.filter(t => !/^[a-z0-9_-]{1,20}$/.test(t));
+        return { tags: [...new Set(tags)].filter(t => !invalid.includes(t)), invalid };
+    }
+
+    // Teks dari user (nama Telegram, nama file, konten) sebelum masuk pesan parse_mode HTML
+    static escapeHtml(text) {
+        return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    // Label akun tampil apa adanya di pesan Markdown & HTML: hanya huruf, angka, spasi, titik dan strip
+    static isValidLabel(label) {
+        return typeof label === 'string' && /^[\p{L}\p{N} .-]{1,32}$/u.test(label);
+    }
+
+    static sanitizeLabel(label) {
+        return String(label ?? '').replace(/[^\p{L}\p{N} .-]/gu, '').replace(/\s+/g, ' ').trim().slice(0, 32);
+    }
+
     static isValidUserId(userId) {
         if (!userId) return false;
         const str = userId.toString();